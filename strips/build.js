@@ -0,0 +1,23 @@
+/*
+Generates the precompiled PEG.js parsers in ./parsers from the grammars in ./grammar.
+Run using: npm run build (this also runs on npm install and before publishing).
+
+Copyright (c) 2018 Kory Becker
+http://primaryobjects.com/kory-becker
+
+License MIT
+*/
+var fs = require('fs');
+var PEG = require('pegjs');
+
+if (!fs.existsSync(__dirname + '/parsers')) {
+    fs.mkdirSync(__dirname + '/parsers');
+}
+
+[ 'domain', 'problem' ].forEach(function(name) {
+    var grammar = fs.readFileSync(__dirname + '/grammar/grammar-' + name + '.txt', 'utf8');
+    var parser = PEG.generate(grammar, { output: 'source', format: 'commonjs' });
+
+    fs.writeFileSync(__dirname + '/parsers/' + name + '.js', parser);
+    console.log('Generated parsers/' + name + '.js');
+});
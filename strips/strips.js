@@ -1,7 +1,5 @@
 var fs = require('fs');
 var PEG = require("pegjs");
-var util = require('util');
-var combinatorics = require('./js-combinatorics/combinatorics.js').Combinatorics;
 
 /*
 AI Planning with STRIPS and PDDL.
@@ -12,981 +10,5122 @@ http://primaryobjects.com/kory-becker
 License MIT
 */
 
-StripsManager = {
-    // Set to false to use baseN() instead of permutationCombination() for parameter values. It will be slower, but will utilize all possible solutions. This allows rendering of 'complementary actions', such as 'Action A on A', where normally you want 'Action A on B'.
-    fast: true,
-    // Set to true to display status information on the console while searching for a solution.
-    verbose: false,
-    // Set to redirect output to different stream, uses console.log() by default.
-    output: function(text) { console.log(text); },
-    // PEG.js grammar for domain.
-    grammarDomainPath: __dirname + '/grammar/grammar-domain.txt',
-    // PEG.js grammer for problem.
-    grammarProblemPath: __dirname + '/grammar/grammar-problem.txt',
-
-    loadCode: function(grammarFileName, code, callback) {
-        // Applies a PEG.js grammar against a code string and returns the parsed JSON result.
-        fs.readFile(grammarFileName, 'utf8', function(err, grammar) {
-            if (err) throw err;
-         
-            var parser = PEG.generate(grammar);
-         
+function ParseError(source, fileName, code, err) {
+    // Syntax error in a PDDL domain or problem. Includes the location, offending line, and the tokens that the grammar expected to find.
+    var start = err.location.start;
+
+    this.name = 'ParseError';
+    this.source = source;
+    this.file = fileName;
+    this.line = start.line;
+    this.column = start.column;
+    this.offset = start.offset;
+    this.snippet = code.split(/\r\n|\r|\n/)[start.line - 1] || '';
+    this.expected = describeExpected(err.expected);
+    this.found = err.found;
+    this.message = 'Syntax error in ' + source + (fileName ? ' ' + fileName : '') + ' at line ' + start.line + ', column ' + start.column + ': ' + err.message + '\n' +
+                   this.snippet + '\n' + new Array(start.column).join(' ') + '^';
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, ParseError);
+    }
+}
+
+ParseError.prototype = Object.create(Error.prototype);
+ParseError.prototype.constructor = ParseError;
+
+function describeExpected(expected) {
+    // Converts the list of PEG.js expectations into a sorted list of unique token descriptions, such as '"("' or '[a-zA-Z0-9\-]'.
+    var descriptions = {};
+
+    for (var i in expected) {
+        var expectation = expected[i];
+        var description;
+
+        switch (expectation.type) {
+            case 'literal': description = JSON.stringify(expectation.text); break;
+            case 'class': description = '[' + (expectation.inverted ? '^' : '') + expectation.parts.map(function(part) {
+                                            return Array.isArray(part) ? escapeClass(part[0]) + '-' + escapeClass(part[1]) : escapeClass(part);
+                                        }).join('') + ']'; break;
+            case 'any': description = 'any character'; break;
+            case 'end': description = 'end of input'; break;
+            default: description = expectation.description;
+        }
+
+        descriptions[description] = 1;
+    }
+
+    return Object.keys(descriptions).sort();
+}
+
+function escapeClass(text) {
+    return JSON.stringify(text).slice(1, -1).replace(/[\]\-\^]/g, '\\$&');
+}
+
+// Default location of the grammars. The parsers for these are precompiled by build.js into ./parsers, so they do not need to be read or generated at runtime.
+var grammarPath = (typeof __dirname != 'undefined' ? __dirname : '.') + '/grammar';
+
+// Cache of generated parsers, by grammar file name.
+var parsers = {};
+
+try {
+    parsers[grammarPath + '/grammar-domain.txt'] = require('./parsers/domain.js');
+    parsers[grammarPath + '/grammar-problem.txt'] = require('./parsers/problem.js');
+}
+catch (err) {
+    // The parsers have not been built (npm run build), so getParser() generates them from the grammars on first use.
+    parsers = {};
+}
+
+function getParser(grammarFileName) {
+    // Returns the parser for a PEG.js grammar file, generating and caching it on first use.
+    if (!parsers[grammarFileName]) {
+        if (!fs.readFileSync) {
+            throw new Error('Unable to read grammar ' + grammarFileName + ', no file system is available.');
+        }
+
+        parsers[grammarFileName] = PEG.generate(fs.readFileSync(grammarFileName, 'utf8'));
+    }
+
+    return parsers[grammarFileName];
+}
+
+function readFile(fileName) {
+    // Reads a text file, returning a Promise for the contents.
+    return new Promise(function(resolve, reject) {
+        if (!fs.readFile) {
+            return reject(new Error('Unable to read ' + fileName + ', no file system is available. Load PDDL from a string instead.'));
+        }
+
+        fs.readFile(fileName, 'utf8', function(err, text) {
+            if (err) {
+                reject(err);
+            }
+            else {
+                resolve(text);
+            }
+        });
+    });
+}
+
+// Operations of effects that change the value of a numeric fluent.
+var numericOperations = [ 'increase', 'decrease', 'assign', 'scale-up', 'scale-down' ];
+
+function domainToPDDL(domain) {
+    // Writes a parsed domain as PDDL.
+    var lines = [ '(define (domain ' + domain.domain + ')' ];
+
+    if (domain.requirements && domain.requirements.length) {
+        lines.push('  (:requirements ' + domain.requirements.map(function(requirement) { return ':' + requirement; }).join(' ') + ')');
+    }
+
+    if (domain.types) {
+        lines.push(pddlSection(':types', pddlTypes(domain)));
+    }
+
+    if (domain.constants && domain.constants.length) {
+        lines.push(pddlSection(':constants', domain.constants.map(pddlObjects)));
+    }
+
+    if (domain.predicates && domain.predicates.length) {
+        lines.push(pddlSection(':predicates', domain.predicates.map(function(predicate) {
+            return '(' + [ predicate.name ].concat(pddlParameters(predicate.parameters) || []).join(' ') + ')';
+        })));
+    }
+
+    if (domain.functions && domain.functions.length) {
+        lines.push(pddlSection(':functions', domain.functions.map(function(fn) {
+            return '(' + [ fn.name ].concat(pddlParameters(fn.parameters) || []).join(' ') + ') - ' + fn.type;
+        })));
+    }
+
+    for (var i in domain.derived) {
+        var axiom = domain.derived[i];
+        var variables = axiom.parameters.map(function(parameter) { return parameter.parameter; });
+
+        lines.push('');
+        lines.push('  (:derived (' + [ axiom.name ].concat(pddlParameters(axiom.parameters) || []).join(' ') + ')');
+        lines.push('    ' + pddlConditions(axiom.condition, variables) + ')');
+    }
+
+    for (var i in domain.actions) {
+        lines.push('');
+        lines.push(domain.actions[i].durative ? pddlDurativeAction(domain.actions[i]) : pddlAction(domain.actions[i]));
+    }
+
+    return lines.join('\n') + ')\n';
+}
+
+function problemToPDDL(problem) {
+    // Writes a parsed problem as PDDL. The first state is written as the :init, including the values of its numeric fluents.
+    var lines = [ '(define (problem ' + problem.name + ')', '  (:domain ' + problem.domain + ')' ];
+
+    if (problem.objects) {
+        lines.push(pddlSection(':objects', problem.objects.map(pddlObjects)));
+    }
+
+    for (var i in problem.states) {
+        var state = problem.states[i];
+        var nodes = state.actions.concat((state.fluents || []).map(function(fluent) {
+            return { operation: 'and', action: '=', parameters: [ { action: fluent.action, parameters: fluent.parameters }, fluent.value ] };
+        }));
+
+        lines.push('  (:' + state.name + pddlList(nodes, [], '    ') + ')');
+    }
+
+    if (problem.metric) {
+        lines.push('  (:metric ' + problem.metric.optimization + ' ' + pddlTerm(problem.metric.expression, []) + ')');
+    }
+
+    return lines.join('\n') + ')\n';
+}
+
+// The kinds of names that are recorded with their original spelling, in domain.names and problem.names. Each kind has its own names, so an object 'to' is not displayed as a parameter '?To'. Predicates also holds the names of functions, actions, the domain and the problem.
+var nameKinds = [ 'types', 'objects', 'predicates', 'parameters' ];
+
+function displayNames(text, names) {
+    // Writes the names in a line of PDDL or a plan with their original spelling, from the names recorded by the grammars for names written in upper or mixed case.
+    // Each name is looked up among the names of its kind, found from where it appears: parameters follow a '?', types follow a '-' or are listed in (either ...) or (:types ...), and the first name of a list or of a plan step is a predicate, function or action, as is the name after :action, :durative-action, domain, :domain or problem. Other names are objects.
+    if (!names) {
+        return text;
+    }
+
+    var previous = null;
+    var lists = []; // For each open list, true if it lists types.
+
+    return text.replace(/[()?]|[^\s()?]+/g, function(token) {
+        var kind = 'objects';
+
+        if (token == '(' || token == ')' || token == '?') {
+            if (token == '(') {
+                lists.push(false);
+            }
+            else if (token == ')') {
+                lists.pop();
+            }
+
+            previous = token;
+            return token;
+        }
+
+        if (previous == '?') {
+            kind = 'parameters';
+        }
+        else if (previous == '(') {
+            kind = 'predicates';
+            lists[lists.length - 1] = token == 'either' || token == ':types';
+        }
+        else if (previous == '-' || lists[lists.length - 1]) {
+            kind = 'types';
+        }
+        else if (previous == null || [ 'domain', ':domain', 'problem', ':action', ':durative-action' ].indexOf(previous) != -1) {
+            kind = 'predicates';
+        }
+
+        previous = token;
+
+        return names[kind] && Object.prototype.hasOwnProperty.call(names[kind], token) ? names[kind][token] : token;
+    });
+}
+
+function pddlSection(name, items) {
+    // Writes a section, such as (:predicates ...), with one item per line.
+    return '  (' + name + (items.length ? '\n    ' + items.join('\n    ') : '') + ')';
+}
+
+function pddlTypes(domain) {
+    // Writes the type declarations, grouping consecutive types that have the same supertypes, as in: truck airplane - vehicle. A type that derives from 'object' and was already declared as a supertype is not repeated.
+    // Types without a supertype must come last, so 'object' is written explicitly if it is one of the declared types.
+    var groups = [];
+    var isDeclared = {};
+    var hasObject = domain.types.indexOf('object') != -1;
+
+    for (var i in domain.types) {
+        var name = domain.types[i];
+        var supertypes = domain.supertypes[name] || [];
+        var isImplicit = !supertypes.length || (supertypes.length == 1 && supertypes[0] == 'object');
+
+        if (isDeclared[name] && isImplicit) {
+            // Start a new group, so the following types remain after this one.
+            groups.push(null);
+            continue;
+        }
+
+        var type = isImplicit ? (hasObject && name != 'object' ? ' - object' : '') : ' - ' + pddlType(supertypes.length > 1 ? supertypes : supertypes[0]);
+        var last = groups[groups.length - 1];
+
+        if (last && last.type == type) {
+            last.names.push(name);
+        }
+        else {
+            groups.push({ names: [ name ], type: type });
+        }
+
+        isDeclared[name] = 1;
+        for (var j in supertypes) {
+            isDeclared[supertypes[j]] = 1;
+        }
+
+        if (type == ' - object') {
+            isDeclared.object = 1;
+        }
+    }
+
+    return groups.filter(function(group) { return group; }).map(function(group) { return group.names.join(' ') + group.type; });
+}
+
+function pddlObjects(group) {
+    // Writes a group of objects or constants, such as a b - block.
+    return group.parameters.join(' ') + (group.type ? ' - ' + pddlType(group.type) : '');
+}
+
+function pddlType(type) {
+    // Writes a type name, or an (either t1 t2) list of type names.
+    return Array.isArray(type) ? '(either ' + type.join(' ') + ')' : type;
+}
+
+function pddlParameters(parameters) {
+    // Writes a list of typed parameters, such as ?x - block ?y - (either block table). Returns null if there are none.
+    return parameters.length ? parameters.map(function(parameter) {
+        return '?' + parameter.parameter + (parameter.type ? ' - ' + pddlType(parameter.type) : '');
+    }).join(' ') : null;
+}
+
+function pddlTerm(term, variables) {
+    // Writes a parameter, number or numeric expression, such as (+ (fuel ?t) 1). Parameters are stored without their '?', so variables lists the names of the parameters in scope.
+    if (typeof(term) == 'object') {
+        return '(' + [ term.action ].concat(term.parameters.map(function(parameter) { return pddlTerm(parameter, variables); })).join(' ') + ')';
+    }
+
+    return typeof(term) == 'string' && variables.indexOf(term) != -1 ? '?' + term : String(term);
+}
+
+function pddlNode(node, variables) {
+    // Writes a literal, compound condition, or effect.
+    if (node.children) {
+        if (node.operation == 'exists' || node.operation == 'forall') {
+            var scope = variables.concat(node.parameters.map(function(parameter) { return parameter.parameter; }));
+            return '(' + node.operation + ' (' + (pddlParameters(node.parameters) || '') + ') ' + pddlConditions(node.children, scope) + ')';
+        }
+
+        return '(' + [ node.operation ].concat(node.children.map(function(child) { return pddlNode(child, variables); })).join(' ') + ')';
+    }
+    else if (node.operation == 'when') {
+        return '(when ' + pddlConditions(node.condition, variables) + ' ' + pddlConditions(node.effect, variables) + ')';
+    }
+    else if (node.operation == 'forall') {
+        var scope = variables.concat(node.parameters.map(function(parameter) { return parameter.parameter; }));
+        return '(forall (' + (pddlParameters(node.parameters) || '') + ') ' + pddlConditions(node.effect, scope) + ')';
+    }
+    else if (numericOperations.indexOf(node.operation) != -1) {
+        return '(' + node.operation + ' ' + pddlTerm(node, variables) + ' ' + pddlTerm(node.value, variables) + ')';
+    }
+
+    var literal = pddlTerm(node, variables);
+    return node.operation == 'not' ? '(not ' + literal + ')' : literal;
+}
+
+function pddlConditions(nodes, variables) {
+    // Writes a nested list of conditions or effects, using (and ...) unless there is exactly one.
+    return nodes.length == 1 ? pddlNode(nodes[0], variables) : '(' + [ 'and' ].concat(nodes.map(function(node) { return pddlNode(node, variables); })).join(' ') + ')';
+}
+
+function pddlList(nodes, variables, indent) {
+    // Writes the top-level list of a state, or an action's precondition or effect, beginning with a space or a new line. Long lists are written with one item per line.
+    // The parser gives the first literal of an (and ...) the operation 'and', and otherwise ''. So, the list is only written without (and ...) when it begins with a literal with the operation '', or is a single condition that is not an 'and'.
+    var items = nodes.map(function(node) { return pddlNode(node, variables); });
+    var first = nodes[0] || {};
+    var text = ' ' + items.join(' ');
+
+    if (text.length > 60) {
+        text = '\n' + indent + items.join('\n' + indent);
+    }
+
+    if (nodes.length && first.action && first.operation === '') {
+        return text;
+    }
+    else if (nodes.length == 1 && first.operation != 'and') {
+        return text;
+    }
+
+    return ' (and' + (nodes.length ? text : '') + ')';
+}
+
+function pddlAction(action) {
+    // Writes an action.
+    var variables = action.parameters.map(function(parameter) { return parameter.parameter; });
+    var lines = [ '  (:action ' + action.action, '    :parameters (' + (pddlParameters(action.parameters) || '') + ')' ];
+
+    if (action.precondition.length) {
+        lines.push('    :precondition' + pddlList(action.precondition, variables, '      '));
+    }
+
+    lines.push('    :effect' + pddlList(action.effect, variables, '      ') + ')');
+
+    return lines.join('\n');
+}
+
+function pddlDurativeAction(action) {
+    // Writes a durative action. Its precondition and effect are written as the at start conditions and effects.
+    var variables = action.parameters.map(function(parameter) { return parameter.parameter; });
+    var conditions = [];
+    var effects = [];
+
+    function add(list, time, nodes) {
+        for (var i in nodes) {
+            list.push('(' + time + ' ' + pddlNode(nodes[i], variables) + ')');
+        }
+    }
+
+    add(conditions, 'at start', action.precondition);
+    add(conditions, 'over all', action.overAll);
+    add(conditions, 'at end', action.endCondition);
+    add(effects, 'at start', action.effect);
+    add(effects, 'at end', action.endEffect);
+
+    function timed(list) {
+        return list.length == 1 ? list[0] : '(and' + (list.length ? '\n      ' + list.join('\n      ') : '') + ')';
+    }
+
+    return [
+        '  (:durative-action ' + action.action,
+        '    :parameters (' + (pddlParameters(action.parameters) || '') + ')',
+        '    :duration (= ?duration ' + pddlTerm(action.duration, variables) + ')',
+        '    :condition ' + timed(conditions),
+        '    :effect ' + timed(effects) + ')'
+    ].join('\n');
+}
+
+// Builder support, used by domain() and problem(). Conditions and effects are given as s-expressions in nested arrays, such as [ 'and', [ 'on', '?x', '?y' ], [ 'not', [ 'clear', '?y' ] ] ], and are converted into the same JSON that the grammars produce.
+var comparisonOperations = [ '<', '<=', '>', '>=' ];
+
+function modelName(name) {
+    // Removes the '?' from a parameter name.
+    return String(name).replace(/^\?/, '');
+}
+
+function modelType(type) {
+    // Converts a type name, or an (either t1 t2) type given as a string or an array of names, into a type.
+    var either = typeof(type) == 'string' && type.match(/^\(\s*either\s+([^)]*)\)$/);
+
+    return either ? either[1].trim().split(/\s+/) : (type || null);
+}
+
+function modelParameters(parameters) {
+    // Converts parameters given as strings, such as '?x - block', or objects { parameter, type }, into a list of { parameter, type }.
+    return (parameters || []).map(function(parameter) {
+        if (typeof(parameter) == 'string') {
+            var parts = parameter.match(/^\s*(\S+)\s*(?:-\s*(.+?))?\s*$/);
+            return { parameter: modelName(parts[1]), type: modelType(parts[2]) };
+        }
+
+        return { parameter: modelName(parameter.parameter), type: modelType(parameter.type) };
+    });
+}
+
+function modelTerm(term) {
+    // Converts a parameter, number, or numeric expression, such as [ '+', [ 'fuel', '?t' ], 1 ].
+    if (Array.isArray(term)) {
+        return { action: String(term[0]), parameters: term.slice(1).map(modelTerm) };
+    }
+
+    return typeof(term) == 'number' ? term : modelName(term);
+}
+
+function modelLiteral(expression) {
+    // Converts a literal, such as [ 'on', '?x', 'a' ], or a numeric comparison, such as [ '>=', [ 'fuel', '?t' ], 10 ].
+    if (!Array.isArray(expression) || typeof(expression[0]) != 'string') {
+        throw new Error('Invalid condition or effect: ' + JSON.stringify(expression) + '. Expected an array, such as [ \'on\', \'?x\', \'?y\' ].');
+    }
+
+    return { operation: 'and', action: expression[0], parameters: expression.slice(1).map(modelTerm) };
+}
+
+function modelNegate(conditions) {
+    // Negates a list of conditions, in the same way as the grammars.
+    var node = modelNode(conditions);
+
+    if (node.action) {
+        node.operation = node.operation == 'not' ? 'and' : 'not';
+        return node;
+    }
+
+    return { operation: 'not', children: [ node ] };
+}
+
+function modelNode(conditions) {
+    // Converts a list of conditions into a single condition, using 'and' for more than one.
+    return conditions.length == 1 ? conditions[0] : { operation: 'and', children: conditions };
+}
+
+function modelConditions(expression) {
+    // Converts a condition into a list of conditions. An (and ...) is flattened into its list of conditions.
+    var operation = Array.isArray(expression) ? expression[0] : null;
+
+    switch (operation) {
+        case 'and': return [].concat.apply([], expression.slice(1).map(modelConditions));
+        case 'not': return [ modelNegate(modelConditions(expression[1])) ];
+        case 'or': return [ { operation: 'or', children: expression.slice(1).map(function(child) { return modelNode(modelConditions(child)); }) } ];
+        case 'imply': return [ { operation: 'imply', children: [ modelNode(modelConditions(expression[1])), modelNode(modelConditions(expression[2])) ] } ];
+        case 'exists':
+        case 'forall': return [ { operation: operation, parameters: modelParameters(expression[1]), children: modelConditions(expression[2]) } ];
+    }
+
+    return [ modelLiteral(expression) ];
+}
+
+function modelEffects(expression) {
+    // Converts an effect into a list of effects. An (and ...) is flattened into its list of effects.
+    var operation = Array.isArray(expression) ? expression[0] : null;
+
+    if (operation == 'and') {
+        return [].concat.apply([], expression.slice(1).map(modelEffects));
+    }
+    else if (operation == 'not') {
+        return [ modelNegate([ modelLiteral(expression[1]) ]) ];
+    }
+    else if (operation == 'when') {
+        return [ { operation: 'when', condition: modelConditions(expression[1]), effect: modelEffects(expression[2]) } ];
+    }
+    else if (operation == 'forall') {
+        return [ { operation: 'forall', parameters: modelParameters(expression[1]), effect: modelEffects(expression[2]) } ];
+    }
+    else if (numericOperations.indexOf(operation) != -1) {
+        var fluent = modelLiteral(expression[1]);
+        return [ { operation: operation, action: fluent.action, parameters: fluent.parameters, value: modelTerm(expression[2]) } ];
+    }
+
+    return [ modelLiteral(expression) ];
+}
+
+function modelList(expression, convert) {
+    // Converts the top-level condition of a precondition, effect or goal into a list, in the same way as the grammars. The first literal of an (and ...) has the operation 'and', and any other literals that are not negated have the operation ''.
+    if (expression == null) {
+        return [];
+    }
+
+    var isAnd = Array.isArray(expression) && expression[0] == 'and';
+    var items = isAnd ? expression.slice(1) : [ expression ];
+
+    return items.map(function(item, index) {
+        var node = Array.isArray(item) && item[0] == 'and' ? { operation: 'and', children: convert(item) } : modelNode(convert(item));
+
+        if (node.operation == 'and' && node.action && comparisonOperations.indexOf(node.action) == -1 && !(node.action == '=' && node.parameters.some(function(parameter) { return typeof(parameter) != 'string'; }))) {
+            node.operation = isAnd && index == 0 ? 'and' : '';
+        }
+
+        return node;
+    });
+}
+
+// The kind of the names held by each key of a domain or problem, for modelIdentifiers().
+var modelNameKinds = { domain: 'predicates', name: 'predicates', action: 'predicates', parameter: 'parameters', type: 'types', types: 'types', supertypes: 'types' };
+
+function modelIdentifiers(value, names, kind, variables) {
+    // Returns a copy of a domain or problem with its names in lower case, since PDDL is case-insensitive, in the same way as the grammars. Names written in another case are recorded in names under their kind (see nameKinds), which is found from their key.
+    // variables lists the parameters declared by the enclosing action, derived predicate or quantifier, so that the names in the parameters of a literal are recorded as parameters, or otherwise as objects.
+    variables = variables || [];
+
+    if (typeof(value) == 'string') {
+        var result = value.toLowerCase();
+
+        if (kind && result != value && !Object.prototype.hasOwnProperty.call(names[kind], result)) {
+            names[kind][result] = value;
+        }
+
+        return result;
+    }
+    else if (Array.isArray(value)) {
+        return value.map(function(item) { return modelIdentifiers(item, names, kind, variables); });
+    }
+    else if (value && typeof(value) == 'object') {
+        var result = {};
+        var scope = variables.concat((Array.isArray(value.parameters) ? value.parameters : []).filter(function(parameter) { return parameter && parameter.parameter; }).map(function(parameter) { return parameter.parameter.toLowerCase(); }));
+
+        for (var key in value) {
+            if (key == 'names') {
+                result[key] = value[key];
+            }
+            else if (key == 'supertypes') {
+                // The keys of supertypes are type names.
+                result[key] = {};
+                for (var type in value[key]) {
+                    result[key][modelIdentifiers(type, names, 'types')] = modelIdentifiers(value[key][type], names, 'types');
+                }
+            }
+            else if (key == 'parameters') {
+                result[key] = value[key].map(function(parameter) {
+                    return typeof(parameter) == 'string' ? modelIdentifiers(parameter, names, scope.indexOf(parameter.toLowerCase()) != -1 ? 'parameters' : 'objects') : modelIdentifiers(parameter, names, null, scope);
+                });
+            }
+            else {
+                result[key] = modelIdentifiers(value[key], names, modelNameKinds[key] || null, scope);
+            }
+        }
+
+        return result;
+    }
+
+    return value;
+}
+
+function modelNames() {
+    // Returns an empty list of names for each kind of name (see nameKinds).
+    var result = {};
+
+    for (var i in nameKinds) {
+        result[nameKinds[i]] = {};
+    }
+
+    return result;
+}
+
+function modelArguments(args) {
+    // Returns the list of expressions passed to a builder method, either as separate arguments or as one array of expressions.
+    args = Array.prototype.slice.call(args);
+
+    return args.length == 1 && Array.isArray(args[0]) && Array.isArray(args[0][0]) ? args[0] : args;
+}
+
+function boundValue(map, parameter) {
+    // Returns the value assigned to a parameter in a map of parameter values, or undefined. Only values assigned in the map, or in the maps that it extends (as with quantifiers in bindCondition()), are found, so a parameter named 'constructor' or 'toString' is not bound to a property of Object.prototype.
+    for (var current = map; current && current !== Object.prototype; current = Object.getPrototypeOf(current)) {
+        if (Object.prototype.hasOwnProperty.call(current, parameter)) {
+            return current[parameter];
+        }
+    }
+}
+
+function atomKey(literal) {
+    // Returns the text that identifies a concrete literal, such as 'on a b'. The operation is not included, so (not (on a b)) is the same atom.
+    return literal.action + ' ' + literal.parameters.join(' ');
+}
+
+function hasFact(facts, id) {
+    // Returns true if the atom numbered id is set in the bitset.
+    return id >= 0 && (id >> 5) < facts.length && (facts[id >> 5] & (1 << (id & 31))) != 0;
+}
+
+function hasFacts(facts, ids, isSet) {
+    // Returns true if every atom in ids is set in the bitset, or if isSet is false, if none of them are set.
+    for (var i = 0; i < ids.length; i++) {
+        if (hasFact(facts, ids[i]) != isSet) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+function setFact(facts, id, isSet) {
+    // Sets or clears the atom numbered id in the bitset. The bitset is grown when needed, so the result should be used in place of facts.
+    if ((id >> 5) >= facts.length) {
+        if (!isSet) {
+            return facts;
+        }
+
+        var grown = new Uint32Array((id >> 5) + 1);
+        grown.set(facts);
+        facts = grown;
+    }
+
+    if (isSet) {
+        facts[id >> 5] |= 1 << (id & 31);
+    }
+    else {
+        facts[id >> 5] &= ~(1 << (id & 31));
+    }
+
+    return facts;
+}
+
+function factHash(facts, fluents) {
+    // Returns a compact string that identifies a state, with two characters for each 32 atoms of the bitset and the values of the fluents. The (total-cost) is not included, as in stateToString().
+    var result = '';
+    var length = facts.length;
+
+    while (length && !facts[length - 1]) {
+        length--;
+    }
+
+    for (var i = 0; i < length; i++) {
+        result += String.fromCharCode(facts[i] & 0xffff, facts[i] >>> 16);
+    }
+
+    var values = [];
+    for (var i in fluents) {
+        if (fluents[i].action != 'total-cost' || fluents[i].parameters.length) {
+            values.push(fluents[i].action + ' ' + fluents[i].parameters.join(' ') + '=' + fluents[i].value);
+        }
+    }
+
+    return values.length ? result + '|' + values.sort().join('|') : result;
+}
+
+function FactStore() {
+    // Numbers each concrete literal (atom) of a domain and problem, so that a state can be stored as a bitset of the atoms that hold. Atoms are added as they are first seen. actions holds the compiled ground actions.
+    this.ids = Object.create(null);
+    this.atoms = [];
+    this.actions = [];
+}
+
+FactStore.prototype.id = function(literal, isAdded) {
+    // Returns the number of a literal's atom. An atom that has not been seen is added if isAdded is true, otherwise -1 is returned.
+    var key = atomKey(literal);
+    var id = this.ids[key];
+
+    if (id == null) {
+        if (!isAdded) {
+            return -1;
+        }
+
+        id = this.ids[key] = this.atoms.length;
+        this.atoms.push({ action: literal.action, parameters: literal.parameters.slice() });
+    }
+
+    return id;
+};
+
+FactStore.prototype.bits = function(literals) {
+    // Returns the bitset of a list of concrete literals.
+    var facts = new Uint32Array((this.atoms.length >> 5) + 1);
+
+    for (var i in literals) {
+        facts = setFact(facts, this.id(literals[i], true), true);
+    }
+
+    return facts;
+};
+
+function FactState(store, facts, fluents) {
+    // A state stored as a bitset of the atoms in a FactStore that hold, with the values of its numeric fluents. The hash identifies the state, and is calculated once. The literals are listed in state.actions, as in a plain state, which is only created when it is first read.
+    Object.defineProperty(this, 'store', { value: store });
+    Object.defineProperty(this, 'cache', { value: {}, writable: true });
+
+    this.facts = facts;
+    if (fluents) {
+        this.fluents = fluents;
+    }
+
+    this.hash = factHash(facts, fluents);
+}
+
+Object.defineProperty(FactState.prototype, 'actions', {
+    get: function() {
+        if (!this.cache.actions) {
+            var actions = [];
+
+            for (var i = 0; i < this.facts.length; i++) {
+                for (var word = this.facts[i], j = 0; word; word >>>= 1, j++) {
+                    if (word & 1) {
+                        var atom = this.store.atoms[i * 32 + j];
+                        actions.push({ operation: 'and', action: atom.action, parameters: atom.parameters.slice() });
+                    }
+                }
+            }
+
+            this.cache.actions = actions;
+        }
+
+        return this.cache.actions;
+    },
+    set: function(actions) {
+        this.facts = this.store.bits(actions);
+        this.update();
+    }
+});
+
+FactState.prototype.has = function(literal) {
+    // Returns true if the concrete literal holds in the state.
+    return hasFact(this.facts, this.store.id(literal));
+};
+
+FactState.prototype.update = function() {
+    // Recalculates the hash after the bitset or fluents are changed in place.
+    this.hash = factHash(this.facts, this.fluents);
+    this.cache = {};
+};
+
+FactState.prototype.toJSON = function() {
+    // Writes the state in its plain form, { actions, fluents }.
+    return this.fluents ? { actions: this.actions, fluents: this.fluents } : { actions: this.actions };
+};
+
+function BinaryHeap(compare) {
+    // A priority queue of items, where compare(a, b) < 0 if a comes before b. Each item records its position in item.heapIndex, so that its priority can be changed with update().
+    this.items = [];
+    this.compare = compare;
+}
+
+BinaryHeap.prototype.size = function() {
+    // Returns the number of items in the queue.
+    return this.items.length;
+};
+
+BinaryHeap.prototype.push = function(item) {
+    // Adds an item to the queue.
+    item.heapIndex = this.items.length;
+    this.items.push(item);
+    this.up(item.heapIndex);
+};
+
+BinaryHeap.prototype.pop = function() {
+    // Removes and returns the first item in the queue.
+    var result = this.items[0];
+    var last = this.items.pop();
+
+    if (this.items.length) {
+        this.items[0] = last;
+        last.heapIndex = 0;
+        this.down(0);
+    }
+
+    result.heapIndex = -1;
+
+    return result;
+};
+
+BinaryHeap.prototype.update = function(item) {
+    // Moves an item that is in the queue after its priority has changed.
+    this.up(item.heapIndex);
+    this.down(item.heapIndex);
+};
+
+BinaryHeap.prototype.up = function(index) {
+    // Moves the item at index towards the front of the queue, until it comes after its parent.
+    var item = this.items[index];
+
+    while (index > 0) {
+        var parentIndex = (index - 1) >> 1;
+        var parent = this.items[parentIndex];
+
+        if (this.compare(item, parent) >= 0) {
+            break;
+        }
+
+        this.items[index] = parent;
+        parent.heapIndex = index;
+        index = parentIndex;
+    }
+
+    this.items[index] = item;
+    item.heapIndex = index;
+};
+
+BinaryHeap.prototype.down = function(index) {
+    // Moves the item at index towards the back of the queue, until it comes before its children.
+    var item = this.items[index];
+    var length = this.items.length;
+
+    while (true) {
+        var childIndex = index * 2 + 1;
+        if (childIndex >= length) {
+            break;
+        }
+
+        if (childIndex + 1 < length && this.compare(this.items[childIndex + 1], this.items[childIndex]) < 0) {
+            childIndex++;
+        }
+
+        if (this.compare(this.items[childIndex], item) >= 0) {
+            break;
+        }
+
+        this.items[index] = this.items[childIndex];
+        this.items[index].heapIndex = index;
+        index = childIndex;
+    }
+
+    this.items[index] = item;
+    item.heapIndex = index;
+};
+
+function relaxedCosts(relaxed, atomCount, facts, isMax, actionCosts) {
+    // Returns the cost of reaching each atom from the atoms set in facts, when deletes are ignored, with the action that reaches it at that cost (its best supporter). Each action costs 1, or its cost in actionCosts if given, plus the sum (h_add) or, if isMax is true, the maximum (h_max) of the costs of its precondition. Atoms that can not be reached cost Infinity.
+    var cost = [];
+    var supporter = [];
+    var remaining = [];
+    var actionCost = [];
+    var queue = new BinaryHeap(function(a, b) { return a.cost - b.cost; });
+
+    function reach(id, value, action) {
+        if (value < cost[id]) {
+            cost[id] = value;
+            supporter[id] = action;
+            queue.push({ id: id, cost: value });
+        }
+    }
+
+    function apply(action) {
+        // All of the action's precondition is reached, so reach its effects.
+        for (var i = 0; i < relaxed.actions[action].add.length; i++) {
+            reach(relaxed.actions[action].add[i], actionCost[action] + (actionCosts ? actionCosts[action] : 1), action);
+        }
+    }
+
+    for (var i = 0; i < atomCount; i++) {
+        cost.push(Infinity);
+        supporter.push(-1);
+    }
+
+    for (var i = 0; i < relaxed.actions.length; i++) {
+        remaining.push(relaxed.actions[i].pre.length);
+        actionCost.push(0);
+    }
+
+    for (var i = 0; i < atomCount; i++) {
+        if (hasFact(facts, i)) {
+            reach(i, 0, -1);
+        }
+    }
+
+    for (var i = 0; i < relaxed.actions.length; i++) {
+        if (!remaining[i]) {
+            apply(i);
+        }
+    }
+
+    // Visit the atoms in order of cost, as in Dijkstra's algorithm, so each atom's cost is final when it is visited.
+    while (queue.size()) {
+        var item = queue.pop();
+        if (item.cost > cost[item.id]) {
+            // A cheaper cost was already visited.
+            continue;
+        }
+
+        var actions = relaxed.byPre[item.id] || [];
+        for (var i = 0; i < actions.length; i++) {
+            var action = actions[i];
+
+            actionCost[action] = isMax ? Math.max(actionCost[action], item.cost) : actionCost[action] + item.cost;
+            if (!--remaining[action]) {
+                apply(action);
+            }
+        }
+    }
+
+    return { cost: cost, supporter: supporter };
+}
+
+function relaxedPlan(relaxed, costs, goals) {
+    // Returns a relaxed plan for the goal atoms as { actions, atoms }, found by choosing the best supporter of each goal and then of each atom in the precondition of a chosen action (as in h_FF). actions holds the indexes of the chosen actions, and atoms the goals and preconditions that they reach. Returns null if a goal can not be reached.
+    var result = [];
+    var atoms = [];
+    var isChosen = {};
+    var isVisited = {};
+    var stack = goals.slice();
+
+    while (stack.length) {
+        var id = stack.pop();
+
+        if (isVisited[id]) {
+            continue;
+        }
+
+        isVisited[id] = 1;
+        atoms.push(id);
+
+        if (costs.cost[id] == Infinity) {
+            return null;
+        }
+
+        var action = costs.supporter[id];
+        if (action != -1 && !isChosen[action]) {
+            isChosen[action] = 1;
+            result.push(action);
+            stack = stack.concat(relaxed.actions[action].pre);
+        }
+    }
+
+    return { actions: result, atoms: atoms };
+}
+
+function reachablePairs(actions, atomCount, facts) {
+    // Returns the atoms, and pairs of atoms, that may hold together in a state reached from the atoms set in facts, as { atoms, pairs }, where atoms[p] is 1 if atom p may hold, and pairs[p * atomCount + q] is 1 if atoms p and q may hold together (as in h^2). Each action is { pre, add, del }. An action reaches a pair if it adds both atoms, or adds one while the other, which it does not delete, may hold together with its precondition. Pairs that are never reached are mutually exclusive (mutex).
+    var atoms = new Uint8Array(atomCount);
+    var pairs = new Uint8Array(atomCount * atomCount);
+    var reached = [];
+    var isChanged = true;
+
+    function isPair(p, q) {
+        return pairs[p * atomCount + q];
+    }
+
+    function reachPair(p, q) {
+        if (!pairs[p * atomCount + q]) {
+            pairs[p * atomCount + q] = pairs[q * atomCount + p] = 1;
+            isChanged = true;
+        }
+    }
+
+    function reach(p) {
+        if (!atoms[p]) {
+            atoms[p] = 1;
+            reached.push(p);
+            isChanged = true;
+        }
+
+        reachPair(p, p);
+    }
+
+    for (var i = 0; i < atomCount; i++) {
+        if (hasFact(facts, i)) {
+            reach(i);
+        }
+    }
+
+    for (var i = 0; i < reached.length; i++) {
+        for (var j = 0; j < i; j++) {
+            reachPair(reached[i], reached[j]);
+        }
+    }
+
+    while (isChanged) {
+        isChanged = false;
+
+        for (var i = 0; i < actions.length; i++) {
+            var action = actions[i];
+
+            // The action applies when each pair of atoms in its precondition may hold together.
+            if (!action.pre.every(function(p) { return action.pre.every(function(q) { return isPair(p, q); }); })) {
+                continue;
+            }
+
+            for (var j = 0; j < action.add.length; j++) {
+                var p = action.add[j];
+
+                reach(p);
+
+                for (var k = 0; k < j; k++) {
+                    reachPair(p, action.add[k]);
+                }
+
+                for (var k = 0; k < reached.length; k++) {
+                    var q = reached[k];
+
+                    if (!isPair(p, q) && action.add.indexOf(q) == -1 && action.del.indexOf(q) == -1 && action.pre.every(function(r) { return isPair(q, r); })) {
+                        reachPair(p, q);
+                    }
+                }
+            }
+        }
+    }
+
+    return { atoms: atoms, pairs: pairs };
+}
+
+function PlanningGraph(actions, atomCount, facts) {
+    // A planning graph for GraphPlan, built from the atoms set in facts. Each atom has two literals, 2 * id for the atom and 2 * id + 1 for its negation, which holds in the first layer for every atom that is not set. Each action is { pre, neg, add, del }, with the atoms of its precondition and effects.
+    // The graph grows one layer at a time (see expand()). As layers are added, literals and actions only appear, and mutexes only disappear, so each is kept once, with the first layer that it appears in, or the layer that a mutex disappears in.
+    var literalCount = atomCount * 2;
+
+    this.literalCount = literalCount;
+    this.layerCount = 0;
+    this.isLeveled = false;
+    this.leveledLayer = -1; // The first layer that is the same as the next.
+    this.nodes = []; // The noop of each literal, followed by the actions, as { pre, eff, action }, with the literals of the precondition and effects.
+    this.achievers = []; // The nodes that have each literal as an effect.
+    this.literalLayer = new Int32Array(literalCount).fill(-1);
+    this.actionLayer = [];
+    this.mutexEnd = []; // For each literal, the layer that each other literal stops being mutex with it in, only for the literals that ever were.
+    this.actionMutexes = []; // For each action layer, a row for each node that was tested, with 1 for each node that is mutex with it in the layer, 2 for each that is not, 3 for each that interferes with it, or 0 if not yet tested.
+    this.mutexes = []; // The pairs of literals that are mutex in the last layer.
+    this.noGoods = [];
+
+    for (var i = 0; i < literalCount; i++) {
+        this.nodes.push({ pre: [ i ], eff: [ i ], action: null });
+        this.achievers.push([]);
+        this.mutexEnd.push({});
+    }
+
+    for (var i in actions) {
+        var action = actions[i];
+
+        this.nodes.push({
+            pre: action.pre.map(function(id) { return id * 2; }).concat(action.neg.map(function(id) { return id * 2 + 1; })),
+            eff: action.add.filter(function(id) { return action.del.indexOf(id) == -1; }).map(function(id) { return id * 2; }).concat(action.del.map(function(id) { return id * 2 + 1; })),
+            action: action.action
+        });
+    }
+
+    for (var i = 0; i < this.nodes.length; i++) {
+        var node = this.nodes[i];
+
+        node.effects = {};
+        node.preconditions = {};
+
+        for (var j in node.eff) {
+            node.effects[node.eff[j]] = 1;
+            this.achievers[node.eff[j]].push(i);
+        }
+
+        for (var j in node.pre) {
+            node.preconditions[node.pre[j]] = 1;
+        }
+
+        this.actionLayer.push(-1);
+    }
+
+    for (var i = 0; i < atomCount; i++) {
+        this.literalLayer[i * 2 + (hasFact(facts, i) ? 0 : 1)] = 0;
+    }
+}
+
+PlanningGraph.prototype.isMutex = function(layer, a, b) {
+    // Returns true if two literals that are in a layer may not hold together in it.
+    return (a ^ 1) == b || this.mutexEnd[a][b] > layer;
+};
+
+PlanningGraph.prototype.isActionMutex = function(layer, a, b) {
+    // Returns true if two nodes of an action layer may not be applied together: one deletes an effect of the other (inconsistent effects), or deletes a precondition of the other (interference), or their preconditions are mutex (competing needs). Each pair is only tested once in a layer.
+    var rows = this.actionMutexes[layer] = this.actionMutexes[layer] || [];
+    var row = rows[a];
+
+    if (a == b) {
+        return false;
+    }
+
+    if (!row || !row[b]) {
+        // Mutexes only disappear as layers are added, so a pair that is not mutex in the previous layer is not mutex in this one, and a pair that interferes always does.
+        var previous = layer > 0 && this.actionMutexes[layer - 1] && this.actionMutexes[layer - 1][a];
+        var result = previous && previous[b] >= 2 ? previous[b] : (this.isInterfering(this.nodes[a], this.nodes[b]) ? 3 : (this.isCompeting(layer, this.nodes[a], this.nodes[b]) ? 1 : 2));
+
+        row = rows[a] = row || new Int8Array(this.nodes.length);
+        rows[b] = rows[b] || new Int8Array(this.nodes.length);
+        row[b] = rows[b][a] = result;
+    }
+
+    return row[b] != 2;
+};
+
+PlanningGraph.prototype.isInterfering = function(nodeA, nodeB) {
+    // Returns true if one node deletes an effect or a precondition of the other, so they are mutex in every layer.
+    for (var i = 0; i < nodeA.eff.length; i++) {
+        var opposite = nodeA.eff[i] ^ 1;
+
+        if (nodeB.effects[opposite] || nodeB.preconditions[opposite]) {
+            return true;
+        }
+    }
+
+    for (var i = 0; i < nodeB.eff.length; i++) {
+        if (nodeA.preconditions[nodeB.eff[i] ^ 1]) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+PlanningGraph.prototype.isCompeting = function(layer, nodeA, nodeB) {
+    // Returns true if a precondition of one node is mutex with a precondition of the other in a layer.
+    for (var i = 0; i < nodeA.pre.length; i++) {
+        for (var j = 0; j < nodeB.pre.length; j++) {
+            if (this.isMutex(layer, nodeA.pre[i], nodeB.pre[j])) {
+                return true;
+            }
+        }
+    }
+
+    return false;
+};
+
+PlanningGraph.prototype.isSupported = function(layer, a, b) {
+    // Returns true if two literals of the next layer can both be reached from the action layer, by one action or by two actions that are not mutex.
+    var achieversA = this.achievers[a];
+    var achieversB = this.achievers[b];
+
+    for (var i = 0; i < achieversA.length; i++) {
+        var nodeA = achieversA[i];
+
+        if (this.actionLayer[nodeA] == -1 || this.actionLayer[nodeA] > layer) {
+            continue;
+        }
+
+        for (var j = 0; j < achieversB.length; j++) {
+            var nodeB = achieversB[j];
+
+            if (this.actionLayer[nodeB] != -1 && this.actionLayer[nodeB] <= layer && (nodeA == nodeB || !this.isActionMutex(layer, nodeA, nodeB))) {
+                return true;
+            }
+        }
+    }
+
+    return false;
+};
+
+PlanningGraph.prototype.expand = function() {
+    // Adds the next layer: the actions whose preconditions are in the last layer and not mutex, and the literals and mutexes that they reach. The graph has leveled off when the layer adds no literals and removes no mutexes, so later layers are the same.
+    var layer = this.layerCount;
+    var literalCount = this.literalCount;
+    var literals = [];
+    var added = [];
+
+    if (this.isLeveled) {
+        this.layerCount++;
+        return;
+    }
+
+    for (var i = 0; i < literalCount; i++) {
+        if (this.literalLayer[i] != -1) {
+            literals.push(i);
+        }
+    }
+
+    for (var i = 0; i < this.nodes.length; i++) {
+        var pre = this.nodes[i].pre;
+
+        if (this.actionLayer[i] == -1 && pre.every(function(a) {
+            return this.literalLayer[a] != -1 && this.literalLayer[a] <= layer && pre.every(function(b) { return a == b || !this.isMutex(layer, a, b); }, this);
+        }, this)) {
+            this.actionLayer[i] = layer;
+
+            for (var j in this.nodes[i].eff) {
+                var literal = this.nodes[i].eff[j];
+
+                if (this.literalLayer[literal] == -1) {
+                    this.literalLayer[literal] = layer + 1;
+                    added.push(literal);
+                }
+            }
+        }
+    }
+
+    // Pairs that were mutex are mutex in the next layer, unless their achievers are no longer mutex.
+    var mutexes = this.mutexes.filter(function(pair) {
+        if (this.isSupported(layer, pair[0], pair[1])) {
+            this.mutexEnd[pair[0]][pair[1]] = this.mutexEnd[pair[1]][pair[0]] = layer + 1;
+            return false;
+        }
+
+        return true;
+    }, this);
+
+    // Pairs with a new literal are mutex if their achievers are.
+    literals = literals.concat(added);
+    for (var i in added) {
+        for (var j in literals) {
+            var a = added[i];
+            var b = literals[j];
+
+            if (a != b && (a ^ 1) != b && (added.indexOf(b) == -1 || a < b) && !this.isSupported(layer, a, b)) {
+                this.mutexEnd[a][b] = this.mutexEnd[b][a] = Infinity;
+                mutexes.push([ a, b ]);
+            }
+        }
+    }
+
+    this.isLeveled = !added.length && mutexes.length == this.mutexes.length;
+    this.leveledLayer = this.isLeveled ? layer : -1;
+    this.mutexes = mutexes;
+    this.layerCount++;
+};
+
+PlanningGraph.prototype.extract = function(goals, layer) {
+    // Searches backward from a set of goal literals in a layer for a plan, as an array with the nodes of the actions applied in each layer. Each goal is assigned an action of the previous layer that reaches it, and is not mutex with the actions already chosen, trying noops first. The preconditions of the chosen actions are then the goals of the previous layer. Goals that can not be reached in a layer are remembered (no-goods), so they are not searched again. Returns null if there is no plan.
+    var self = this;
+    var key = goals.slice().sort(function(a, b) { return a - b; }).join(',');
+
+    // Assign the goals that appear latest in the graph first, since they have the fewest achievers to choose from.
+    goals = goals.slice().sort(function(a, b) { return self.literalLayer[b] - self.literalLayer[a]; });
+
+    if (!layer) {
+        return [];
+    }
+
+    this.noGoods[layer] = this.noGoods[layer] || {};
+    if (this.noGoods[layer][key]) {
+        return null;
+    }
+
+    function isMutex(node, chosen) {
+        // Returns true if the node is mutex with any of the chosen nodes.
+        for (var i = 0; i < chosen.length; i++) {
+            if (self.isActionMutex(layer - 1, node, chosen[i])) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    function assign(index, chosen) {
+        // Chooses an action for each goal from index onwards, then extracts a plan for their preconditions.
+        if (index == goals.length) {
+            var pre = [];
+
+            chosen.forEach(function(node) {
+                self.nodes[node].pre.forEach(function(literal) {
+                    if (pre.indexOf(literal) == -1) {
+                        pre.push(literal);
+                    }
+                });
+            });
+
+            var plan = self.extract(pre, layer - 1);
+
+            return plan ? plan.concat([ chosen.slice() ]) : null;
+        }
+
+        var goal = goals[index];
+
+        for (var i = 0; i < chosen.length; i++) {
+            if (self.nodes[chosen[i]].effects[goal]) {
+                return assign(index + 1, chosen);
+            }
+        }
+
+        var achievers = self.achievers[goal];
+        for (var i = 0; i < achievers.length; i++) {
+            var node = achievers[i];
+
+            if (self.actionLayer[node] != -1 && self.actionLayer[node] < layer && !isMutex(node, chosen)) {
+                chosen.push(node);
+
+                var plan = assign(index + 1, chosen);
+                if (plan) {
+                    return plan;
+                }
+
+                chosen.pop();
+            }
+        }
+
+        return null;
+    }
+
+    var result = assign(0, []);
+
+    if (!result) {
+        this.noGoods[layer][key] = 1;
+    }
+
+    return result;
+};
+
+function createPlanner(options) {
+    // Creates an independent planner. Each planner has its own settings (see below, these may be set in options) and planning graph state, so multiple planners can run side-by-side.
+    var StripsManager = {
+        // Set to false to use baseN() instead of permutationCombination() for parameter values. It will be slower, but will utilize all possible solutions. This allows rendering of 'complementary actions', such as 'Action A on A', where normally you want 'Action A on B'.
+        fast: true,
+        // Set to true to display status information on the console while searching for a solution.
+        verbose: false,
+        // Order in which A* search visits states with the same cost: 'h' visits the state with the lowest heuristic first, 'fifo' the state found first, and 'lifo' the state found last.
+        tieBreaking: 'fifo',
+        // Set to redirect output to different stream, uses console.log() by default.
+        output: function(text) { console.log(text); },
+        // Set to true to call the callbacks of the load methods error-first, as callback(err, result), in the usual node.js style. By default, they are only called with the result on success, and errors are written to output.
+        errorFirst: false,
+        // PEG.js grammar for domain.
+        grammarDomainPath: grammarPath + '/grammar-domain.txt',
+        // PEG.js grammer for problem.
+        grammarProblemPath: grammarPath + '/grammar-problem.txt',
+        // Error type used when a domain or problem fails to parse.
+        ParseError: ParseError,
+        // Type of the indexed states created by indexState() and used by the searches.
+        FactState: FactState,
+        // Creates a new, independent planner.
+        createPlanner: createPlanner,
+        // JSON Schemas for domain and problem models, see schema/domain.json and schema/problem.json.
+        schema: { domain: require('./schema/domain.json'), problem: require('./schema/problem.json') },
+
+        loadCode: function(grammarFileName, code, callback) {
+            // Applies a PEG.js grammar against a code string and returns the parsed JSON result. Returns a Promise, callback is optional.
+            var promise = Promise.resolve().then(function() {
+                return getParser(grammarFileName).parse(code);
+            });
+
+            return callbackify(promise, callback);
+        },
+
+        loadGrammar: function(grammarFileName, codeFileName, callback) {
+            // Applies a PEG.js grammar against a code file and returns the parsed JSON result. Returns a Promise, callback is optional.
+            var promise = readFile(codeFileName).then(function(code) {
+                return StripsManager.loadCode(grammarFileName, code);
+            });
+
+            return callbackify(promise, callback);
+        },
+
+        parseCode: function(source, grammarFileName, code, fileName) {
+            // Synchronously parses a domain or problem (source = 'domain' or 'problem') and returns the JSON result. Throws a ParseError when the PDDL is invalid.
+            try {
+                return getParser(grammarFileName).parse(code);
+            }
+            catch (err) {
+                throw err.location ? new ParseError(source, fileName || null, code, err) : err;
+            }
+        },
+
+        parseDomain: function(code, fileName) {
+            // Synchronously parses a STRIPS PDDL domain string and returns the JSON result. fileName is optional, for error messages.
+            return StripsManager.parseCode('domain', StripsManager.grammarDomainPath, code, fileName);
+        },
+
+        parseProblem: function(code, fileName) {
+            // Synchronously parses a STRIPS PDDL problem string and returns the JSON result. fileName is optional, for error messages.
+            return StripsManager.initializeProblem(StripsManager.parseCode('problem', StripsManager.grammarProblemPath, code, fileName));
+        },
+
+        loadSource: function(source, grammarFileName, filePath, isCode) {
+            // Reads and parses a domain or problem (source = 'domain' or 'problem'). Returns a Promise that rejects with a ParseError when the PDDL is invalid.
+            var fileName = isCode ? null : filePath;
+
+            return (isCode ? Promise.resolve(filePath) : readFile(filePath)).then(function(code) {
+                return StripsManager.parseCode(source, grammarFileName, code, fileName);
+            }, function(err) {
+                // Unable to read the file, note which one failed.
+                err.source = source;
+                err.file = fileName;
+                throw err;
+            });
+        },
+
+        toPDDL: function(json) {
+            // Converts a parsed domain or problem back into PDDL text. Parsing the result gives the same JSON.
+            return displayNames(json.states ? problemToPDDL(json) : domainToPDDL(json), json.names);
+        },
+
+        domain: function(name) {
+            // Returns a builder for a domain, as an alternative to parsing PDDL. Each method returns the builder, and build() returns the same JSON as parseDomain().
+            // Example: strips.domain('blocks').requirements('strips', 'typing').type('block').predicate('on', [ '?x - block', '?y - block' ]).action('move', { params: [ ... ], pre: [ ... ], eff: [ ... ] }).build()
+            var domain = { domain: name, requirements: [], types: null, supertypes: {}, constants: [], predicates: [], functions: [], derived: [], actions: [], names: modelNames() };
+
+            var builder = {
+                requirements: function() {
+                    // Adds requirements, such as 'typing' or ':typing'.
+                    for (var i in arguments) {
+                        domain.requirements.push(modelName(arguments[i]).replace(/^:/, ''));
+                    }
+
+                    return builder;
+                },
+
+                type: function(name, supertype) {
+                    // Adds a type, with an optional supertype or (either t1 t2) list of supertypes. Types without a supertype derive from 'object'.
+                    var supertypes = supertype ? [].concat(modelType(supertype)) : [];
+                    var names = [ name ].concat(supertypes);
+
+                    domain.types = domain.types || [];
+
+                    for (var i in names) {
+                        if (!domain.supertypes[names[i]]) {
+                            domain.types.push(names[i]);
+                            domain.supertypes[names[i]] = [];
+                        }
+                    }
+
+                    for (var i in supertypes) {
+                        if (domain.supertypes[name].indexOf(supertypes[i]) == -1) {
+                            domain.supertypes[name].push(supertypes[i]);
+                        }
+                    }
+
+                    return builder;
+                },
+
+                constant: function(names, type) {
+                    // Adds one or more constants of a type.
+                    domain.constants.push({ parameters: [].concat(names), type: modelType(type) });
+                    return builder;
+                },
+
+                predicate: function(name, params) {
+                    // Adds a predicate, with parameters such as [ '?x - block' ].
+                    domain.predicates.push({ name: name, parameters: modelParameters(params) });
+                    return builder;
+                },
+
+                'function': function(name, params, type) {
+                    // Adds a numeric function, with parameters such as [ '?t - truck' ].
+                    domain.functions.push({ name: name, parameters: modelParameters(params), type: type || 'number' });
+                    return builder;
+                },
+
+                derived: function(name, options) {
+                    // Adds a derived predicate, with options { params, condition }.
+                    domain.derived.push({ name: name, parameters: modelParameters(options.params), condition: modelConditions(options.condition) });
+                    return builder;
+                },
+
+                action: function(name, options) {
+                    // Adds an action, with options { params, pre, eff }. A durative action also has a duration, and may have overAll, endPre and endEff. Its pre and eff are the at start conditions and effects.
+                    var action = { action: name, parameters: modelParameters(options.params) };
+
+                    if (options.duration != null) {
+                        action.durative = true;
+                        action.duration = modelTerm(options.duration);
+                        action.precondition = modelConditions(options.pre || [ 'and' ]);
+                        action.overAll = modelConditions(options.overAll || [ 'and' ]);
+                        action.endCondition = modelConditions(options.endPre || [ 'and' ]);
+                        action.effect = modelEffects(options.eff || [ 'and' ]);
+                        action.endEffect = modelEffects(options.endEff || [ 'and' ]);
+                    }
+                    else {
+                        action.precondition = modelList(options.pre, modelConditions);
+                        action.effect = modelList(options.eff, modelEffects);
+                    }
+
+                    domain.actions.push(action);
+                    return builder;
+                },
+
+                build: function() {
+                    // Returns the domain, with its names in lower case. Types without a supertype derive from 'object'.
+                    for (var key in domain.supertypes) {
+                        if (!domain.supertypes[key].length && key != 'object') {
+                            domain.supertypes[key].push('object');
+                        }
+                    }
+
+                    var names = modelNames();
+                    var result = modelIdentifiers(domain, names);
+                    result.names = names;
+
+                    return result;
+                }
+            };
+
+            return builder;
+        },
+
+        problem: function(domain, name) {
+            // Returns a builder for a problem of the domain (a domain or domain builder), as an alternative to parsing PDDL. Each method returns the builder, and build() returns { domain, problem }, the same as load().
+            // Example: strips.problem(domain).objects([ 'a', 'b' ], 'block').init([ 'on', 'a', 'b' ], [ 'clear', 'a' ]).goal([ 'and', [ 'on', 'b', 'a' ] ]).build()
+            domain = domain.build ? domain.build() : domain;
+
+            var problem = { name: name || domain.domain + '-problem', domain: domain.domain, objects: null, states: [ { name: 'init', actions: [] }, { name: 'goal', actions: [] } ], metric: null, names: modelNames() };
+
+            var builder = {
+                objects: function(names, type) {
+                    // Adds one or more objects of a type, which may be an (either t1 t2) type, as with constant().
+                    problem.objects = problem.objects || [];
+                    problem.objects.push({ parameters: [].concat(names), type: modelType(type) });
+                    return builder;
+                },
+
+                init: function() {
+                    // Adds literals to the initial state, such as [ 'on', 'a', 'b' ], and the initial values of numeric fluents, such as [ '=', [ 'fuel', 't1' ], 10 ].
+                    var literals = modelArguments(arguments);
+
+                    for (var i in literals) {
+                        var literal = modelList(literals[i], modelConditions)[0];
+                        problem.states[0].actions.push(literal);
+                    }
+
+                    return builder;
+                },
+
+                goal: function(condition) {
+                    // Sets the goal condition, such as [ 'and', [ 'on', 'a', 'b' ], [ 'not', [ 'clear', 'b' ] ] ].
+                    problem.states[1].actions = modelList(condition, modelConditions);
+                    return builder;
+                },
+
+                metric: function(optimization, expression) {
+                    // Sets the metric, such as metric('minimize', [ 'total-cost' ]).
+                    problem.metric = { optimization: optimization, expression: modelTerm(expression) };
+                    return builder;
+                },
+
+                build: function() {
+                    // Returns { domain, problem }, with the domain prepared for solving the problem.
+                    var names = modelNames();
+                    var result = modelIdentifiers(problem, names);
+                    result.names = names;
+                    result = StripsManager.initializeProblem(result);
+                    return { domain: StripsManager.initializeDomain(JSON.parse(JSON.stringify(domain)), result), problem: result };
+                }
+            };
+
+            return builder;
+        },
+
+        loadDomain: function(filePath, callback, isCode) {
+            // Applies the PEG.js grammar for a STRIPS PDDL domain file and returns the parsed JSON result. Returns a Promise, callback is optional.
+            var promise = StripsManager.loadSource('domain', StripsManager.grammarDomainPath, filePath, isCode);
+
+            return callbackify(promise, callback);
+        },
+
+        loadProblem: function(filePath, callback, isCode) {
+            // Applies the PEG.js grammar for a STRIPS PDDL problem file and returns the parsed JSON result. Returns a Promise, callback is optional.
+            var promise = StripsManager.loadSource('problem', StripsManager.grammarProblemPath, filePath, isCode).then(function(problem) {
+                return StripsManager.initializeProblem(problem);
+            });
+
+            return callbackify(promise, callback);
+        },
+    
+        initializeProblem: function(problem, callback) {
+            // Populate list of parameter values.
+            var values = {};
+
+            function collect(conditions, variables) {
+                for (var j in conditions) {
+                    var action = conditions[j];
+
+                    if (action.children) {
+                        // Compound condition, skip the parameters of any (exists ...) or (forall ...).
+                        collect(action.children, variables.concat((action.parameters || []).map(function(parameter) { return parameter.parameter; })));
+                        continue;
+                    }
+
+                    // Collect all unique parameter values. Numbers and the terms of numeric expressions, such as (= (fuel truck1) 10), are searched for object names.
+                    for (var k in action.parameters) {
+                        var parameter = action.parameters[k];
+
+                        if (typeof(parameter) == 'object') {
+                            collect([ parameter ], variables);
+                        }
+                        else if (typeof(parameter) == 'string' && variables.indexOf(parameter) == -1) {
+                            values[parameter] = 1;
+                        }
+                    }
+                }
+            }
+
+            // Move the initial values of numeric fluents, such as (= (fuel truck1) 10), from the initial state into its list of fluents.
+            var init = (problem.states || [])[0];
+            if (init && !init.fluents) {
+                init.fluents = [];
+                init.actions = init.actions.filter(function(action) {
+                    if (action.action == '=' && typeof(action.parameters[0]) == 'object' && typeof(action.parameters[1]) == 'number') {
+                        init.fluents.push({ action: action.parameters[0].action, parameters: action.parameters[0].parameters, value: action.parameters[1] });
+                        return false;
+                    }
+
+                    return true;
+                });
+            }
+
+            for (var i in problem.states) {
+                collect(problem.states[i].actions, []);
+            }
+
+            // Include any objects that are declared, but not used in the states.
+            for (var i in problem.objects) {
+                for (var j in problem.objects[i].parameters) {
+                    values[problem.objects[i].parameters[j]] = 1;
+                }
+            }
+
+            // Set parameter values list on problem.
+            problem.values = {};
+            for (var key in values) {
+                // Look-up type for this value in the objects declaration.
+                var type = null;
+
+                for (var i in problem.objects) {
+                    for (var j in problem.objects[i].parameters) {
+                        var parameter = problem.objects[i].parameters[j];
+                        if (parameter == key) {
+                            type = problem.objects[i].type;
+                            break;
+                        }
+                    }
+
+                    if (type)
+                        break;
+                }
+
+                // An object of an (either t1 t2) type is a value of each of the types.
+                var types = type ? [].concat(type) : [ null ];
+                for (var i in types) {
+                    problem.values[types[i]] = problem.values[types[i]] || [];
+                    problem.values[types[i]].push(key);
+                }
+            }
+
             if (callback) {
-                callback(parser.parse(code));
+                callback(problem);
+            }
+
+            return problem;
+        },
+
+        initializeDomain: function(domain, problem) {
+            // Prepares a parsed domain for solving the given problem: assigns the possible parameter values and the applicable parameter combinations for each action.
+            // Give a copy of the possible parameter values to the domain, including the domain's constants. When using :typing, values are also listed under each of their supertypes.
+            var values = {};
+            for (var type in problem.values) {
+                values[type] = problem.values[type].slice();
+            }
+
+            for (var i in domain.constants) {
+                var constant = domain.constants[i];
+
+                for (var j in constant.parameters) {
+                    // A constant of an (either t1 t2) type is a value of each of the types.
+                    var types = constant.type ? [].concat(constant.type) : [ null ];
+                    for (var k in types) {
+                        values[types[k]] = values[types[k]] || [];
+
+                        if (values[types[k]].indexOf(constant.parameters[j]) == -1) {
+                            values[types[k]].push(constant.parameters[j]);
+                        }
+                    }
+
+                    // Constants used in the problem states are not missing from :objects, so remove them from the untyped values.
+                    if (constant.type && values.null && values.null.indexOf(constant.parameters[j]) != -1) {
+                        values.null.splice(values.null.indexOf(constant.parameters[j]), 1);
+
+                        if (!values.null.length) {
+                            delete values.null;
+                        }
+                    }
+                }
+            }
+
+            domain.values = domain.requirements.indexOf('typing') != -1 ? StripsManager.typeValues(domain, values) : values;
+
+            // The problem's (:metric ...) is used by the searches to calculate the cost of each action.
+            domain.metric = problem.metric || null;
+
+            // Names written in upper or mixed case in the domain or problem, so that they are displayed as written.
+            var names = modelNames();
+            [ problem.names, domain.names ].forEach(function(source) {
+                for (var kind in names) {
+                    for (var key in (source || {})[kind]) {
+                        names[kind][key] = source[kind][key];
+                    }
+                }
+            });
+
+            domain.names = names;
+
+            // Report mistakes in the domain and problem before searching. Warnings are only displayed when verbose.
+            var diagnostics = StripsManager.validate(domain, problem);
+            for (var i in diagnostics) {
+                if (diagnostics[i].severity == 'error' || StripsManager.verbose) {
+                    StripsManager.output(StripsManager.diagnosticToString(diagnostics[i]));
+                }
+            }
+
+            // Ground the derived predicates, and add those that hold in the initial state.
+            StripsManager.initializeDerived(domain);
+            if (domain.derived && domain.derived.length && problem.states && problem.states[0]) {
+                StripsManager.applyDerived(domain, problem.states[0]);
+            }
+
+            // Load list of applicable combinations of parameter values for each action, keeping only those that may become applicable from the initial state.
+            domain.grounding = StripsManager.ground(domain, problem.states && problem.states[0] ? problem.states[0] : { actions: [] });
+            if (StripsManager.verbose) {
+                StripsManager.output('Grounding kept ' + domain.grounding.kept + ' actions and pruned ' + domain.grounding.pruned + '.');
+            }
+
+            // Compile the ground actions for the searches.
+            StripsManager.indexDomain(domain);
+
+            return domain;
+        },
+
+        initializeDerived: function(domain) {
+            // Assigns each derived predicate (:derived axiom) the list of its concrete literals, with the condition under which each holds. Actions that add or delete a derived predicate are reported by validate().
+            for (var i in domain.derived) {
+                var axiom = domain.derived[i];
+                var combinations = StripsManager.quantifierCombinations(domain, axiom.parameters);
+
+                axiom.groundings = [];
+
+                for (var j in combinations) {
+                    var map = {};
+                    for (var k in axiom.parameters) {
+                        map[axiom.parameters[k].parameter] = combinations[j][k];
+                    }
+
+                    axiom.groundings.push({
+                        literal: { operation: 'and', action: axiom.name, parameters: combinations[j] },
+                        condition: axiom.condition.map(function(condition) { return StripsManager.bindCondition(condition, map, domain); })
+                    });
+                }
+            }
+        },
+
+        constantNames: function(domain) {
+            // Returns a flat list of the constants declared in the domain.
+            var result = [];
+
+            for (var i in domain.constants) {
+                result = result.concat(domain.constants[i].parameters);
+            }
+
+            return result;
+        },
+
+        validate: function(domain, problem) {
+            // Checks a domain, and optionally a problem, for mistakes that would otherwise make actions silently inapplicable or goals unreachable. Returns a list of diagnostics { severity: 'error' or 'warning', code, message, location: { source, section, name, line, column } }.
+            // The line and column are known for domains and problems parsed from PDDL. initializeDomain() reports the diagnostics before searching.
+            var diagnostics = [];
+            var isTyping = (domain.requirements || []).indexOf('typing') != -1;
+            var declarations = { predicate: {}, function: {} };
+            var constants = {};
+            var objects = {};
+            var adds = [];
+
+            for (var i in domain.predicates) {
+                declarations.predicate[domain.predicates[i].name] = domain.predicates[i].parameters;
+            }
+
+            for (var i in domain.derived) {
+                declarations.predicate[domain.derived[i].name] = declarations.predicate[domain.derived[i].name] || domain.derived[i].parameters;
+            }
+
+            for (var i in domain.functions) {
+                declarations.function[domain.functions[i].name] = domain.functions[i].parameters;
+            }
+
+            for (var i in domain.constants) {
+                for (var j in domain.constants[i].parameters) {
+                    constants[domain.constants[i].parameters[j]] = domain.constants[i].type;
+                }
+            }
+
+            for (var i in (problem || {}).objects) {
+                for (var j in problem.objects[i].parameters) {
+                    objects[problem.objects[i].parameters[j]] = problem.objects[i].type;
+                }
+            }
+
+            function report(severity, code, message, context, node) {
+                // Adds a diagnostic, located at the node, or else at the action, derived predicate or state that contains it.
+                var location = (node && node.location) || (context.node && context.node.location) || {};
+
+                diagnostics.push({ severity: severity, code: code, message: message, location: { source: context.source, section: context.section, name: context.name || null, line: location.line || null, column: location.column || null } });
+            }
+
+            function isSubtype(type, supertype) {
+                // Returns true if every type of an (either t1 t2) type is the supertype, or one of its subtypes.
+                var supertypes = StripsManager.typeList(supertype);
+
+                return StripsManager.typeList(type).every(function(name) {
+                    return StripsManager.typeAncestors(domain, name).some(function(ancestor) { return supertypes.indexOf(ancestor) != -1; });
+                });
+            }
+
+            function isRelated(type1, type2) {
+                // Returns true if the types may share a value, when one is a subtype of the other.
+                return StripsManager.typeList(type1).some(function(name1) {
+                    return StripsManager.typeList(type2).some(function(name2) { return isSubtype(name1, name2) || isSubtype(name2, name1); });
+                });
+            }
+
+            function checkTerm(term, context, node) {
+                // Checks that a parameter is a variable of the context, a constant, or an object of the problem. Returns its type, or undefined if unknown.
+                if (typeof(term) == 'number') {
+                    return undefined;
+                }
+                else if (typeof(term) == 'object') {
+                    checkExpression(term, context, node);
+                    return undefined;
+                }
+                else if (term in context.variables) {
+                    context.used[term] = 1;
+                    return context.variables[term];
+                }
+                else if (constants.hasOwnProperty(term)) {
+                    return constants[term];
+                }
+                else if (context.source == 'domain') {
+                    report('error', 'unbound-variable', 'Parameter "' + term + '" in ' + context.where + ' is not declared in :parameters, and is not a constant.', context, node);
+                }
+                else if (problem.objects && !objects.hasOwnProperty(term)) {
+                    report(isTyping ? 'error' : 'warning', 'undeclared-object', 'Object "' + term + '" in ' + context.where + ' is not declared in :objects.', context, node);
+                }
+
+                return objects[term];
+            }
+
+            function checkExpression(expression, context, node) {
+                // Checks the fluents of a numeric expression, such as (+ (fuel ?t) 1).
+                if (typeof(expression) != 'object') {
+                    checkTerm(expression, context, node);
+                }
+                else if ([ '+', '-', '*', '/' ].indexOf(expression.action) != -1) {
+                    expression.parameters.forEach(function(parameter) { checkExpression(parameter, context, node); });
+                }
+                else {
+                    checkLiteral(expression, context, 'function', node);
+                }
+            }
+
+            function checkLiteral(literal, context, kind, node) {
+                // Checks that a predicate or function is declared, and that its parameters match in number and type.
+                node = literal.location ? literal : node;
+
+                if (kind == 'predicate' && StripsManager.isComparison(literal)) {
+                    literal.parameters.forEach(function(parameter) { checkExpression(parameter, context, node); });
+                    return;
+                }
+
+                var parameters = declarations[kind][literal.action];
+                var types = literal.parameters.map(function(parameter) { return checkTerm(parameter, context, node); });
+
+                if (literal.action == '=') {
+                    if ((domain.requirements || []).indexOf('equality') == -1) {
+                        report('warning', 'missing-requirement', 'Equality (= ' + literal.parameters.join(' ') + ') in ' + context.where + ' is used without the :equality requirement.', context, node);
+                    }
+
+                    return;
+                }
+                else if (!parameters) {
+                    if (kind == 'predicate' ? domain.predicates && domain.predicates.length : domain.functions && domain.functions.length) {
+                        report('error', 'undeclared-' + kind, (kind == 'predicate' ? 'Predicate "' : 'Function "') + literal.action + '" in ' + context.where + ' is not declared in :' + kind + 's.', context, node);
+                    }
+                }
+                else if (parameters.length != literal.parameters.length) {
+                    report('error', 'arity', (kind == 'predicate' ? 'Predicate "' : 'Function "') + literal.action + '" expects ' + parameters.length + ' parameters, but ' + literal.parameters.length + ' found in ' + context.where + '.', context, node);
+                }
+                else if (isTyping) {
+                    for (var i in parameters) {
+                        // A variable may be of a supertype or subtype of the parameter, but an object must be of the type, or one of its subtypes.
+                        var isValid = !parameters[i].type || types[i] === undefined || (literal.parameters[i] in context.variables ? isRelated(types[i], parameters[i].type) : isSubtype(types[i], parameters[i].type));
+
+                        if (!isValid) {
+                            report('error', 'type-mismatch', 'Parameter "' + literal.parameters[i] + '" of type ' + StripsManager.typeList(types[i]).join(' or ') + ' does not match type ' + StripsManager.typeList(parameters[i].type).join(' or ') + ' of "' + literal.action + '" in ' + context.where + '.', context, node);
+                        }
+                    }
+                }
+            }
+
+            function scope(context, parameters) {
+                // Returns a copy of the context, with the variables of a quantifier.
+                var result = Object.create(context);
+                result.variables = Object.create(context.variables);
+
+                for (var i in parameters) {
+                    result.variables[parameters[i].parameter] = parameters[i].type;
+                }
+
+                return result;
+            }
+
+            function checkConditions(nodes, context) {
+                for (var i in nodes) {
+                    var node = nodes[i];
+
+                    if (node.children) {
+                        checkConditions(node.children, node.parameters ? scope(context, node.parameters) : context);
+                    }
+                    else {
+                        checkLiteral(node, context, 'predicate');
+                    }
+                }
+            }
+
+            function checkEffects(effects, context) {
+                for (var i in effects) {
+                    var effect = effects[i];
+
+                    if (effect.operation == 'when') {
+                        checkConditions(effect.condition, context);
+                        checkEffects(effect.effect, context);
+                    }
+                    else if (effect.operation == 'forall') {
+                        checkEffects(effect.effect, scope(context, effect.parameters));
+                    }
+                    else if (StripsManager.isNumericEffect(effect)) {
+                        checkLiteral(effect, context, 'function');
+                        checkExpression(effect.value, context, effect);
+                    }
+                    else {
+                        checkLiteral(effect, context, 'predicate');
+
+                        if ((domain.derived || []).some(function(axiom) { return axiom.name == effect.action; })) {
+                            report('error', 'derived-effect', 'Action "' + context.name + '" changes the derived predicate "' + effect.action + '" in its ' + context.section + '. Derived predicates may only be used in preconditions and goals.', context, effect);
+                        }
+                        else if (effect.operation != 'not') {
+                            // Remember the literals that actions add, to find goals that can never be reached.
+                            adds.push({ literal: effect, variables: context.variables });
+                        }
+                    }
+                }
+            }
+
+            function checkParameters(parameters, context, description) {
+                // Reports parameters that are not used.
+                for (var i in parameters) {
+                    if (!context.used[parameters[i].parameter]) {
+                        report('warning', 'unused-parameter', 'Parameter "' + parameters[i].parameter + '" of ' + description + ' is not used.', context, parameters[i]);
+                    }
+                }
+            }
+
+            for (var i in domain.actions) {
+                var action = domain.actions[i];
+                var context = scope({ source: 'domain', name: action.action, node: action, variables: Object.create(null), used: {} }, action.parameters);
+                var where = function(section) {
+                    context.section = section;
+                    context.where = section + ' of action "' + action.action + '"';
+                    return context;
+                };
+
+                checkConditions(action.precondition, where('precondition'));
+                checkEffects(action.effect, where('effect'));
+
+                if (action.durative) {
+                    checkExpression(action.duration, where('duration'), action);
+                    checkConditions(action.overAll, where('overAll'));
+                    checkConditions(action.endCondition, where('endCondition'));
+                    checkEffects(action.endEffect, where('endEffect'));
+                }
+
+                checkParameters(action.parameters, where('parameters'), 'action "' + action.action + '"');
+            }
+
+            for (var i in domain.derived) {
+                var axiom = domain.derived[i];
+                var context = scope({ source: 'domain', section: 'derived', name: axiom.name, node: axiom, where: 'derived predicate "' + axiom.name + '"', variables: Object.create(null), used: {} }, axiom.parameters);
+
+                checkConditions(axiom.condition, context);
+                checkParameters(axiom.parameters, context, context.where);
+            }
+
+            if (problem) {
+                if (isTyping && !problem.objects) {
+                    report('error', 'missing-objects', ':typing is specified in domain, but not all parameters declare a type. Verify problem file contains an :objects section.', { source: 'problem', section: 'objects' });
+                }
+
+                for (var i in problem.states) {
+                    var state = problem.states[i];
+                    var context = { source: 'problem', section: state.name, where: ':' + state.name, variables: Object.create(null), used: {} };
+
+                    checkConditions(state.actions, context);
+
+                    for (var j in state.fluents) {
+                        checkLiteral(state.fluents[j], context, 'function');
+                    }
+                }
+
+                // Goals that are not in the initial state, and that no action adds, can never be reached.
+                var init = problem.states[0] ? problem.states[0].actions.map(function(literal) { return literal.action + ' ' + literal.parameters.join(' '); }) : [];
+                var goals = problem.states[1] ? problem.states[1].actions : [];
+
+                for (var i in goals) {
+                    var goal = goals[i];
+
+                    if (goal.children || goal.operation == 'not' || goal.action == '=' || StripsManager.isComparison(goal) || (domain.derived || []).some(function(axiom) { return axiom.name == goal.action; }) || init.indexOf(goal.action + ' ' + goal.parameters.join(' ')) != -1) {
+                        continue;
+                    }
+
+                    var isAdded = adds.some(function(add) {
+                        return add.literal.action == goal.action && add.literal.parameters.length == goal.parameters.length && add.literal.parameters.every(function(parameter, index) {
+                            var value = goal.parameters[index];
+
+                            if (!(parameter in add.variables)) {
+                                // A constant, or a parameter that is already reported as unbound.
+                                return !constants.hasOwnProperty(parameter) || parameter == value;
+                            }
+
+                            return !isTyping || !objects.hasOwnProperty(value) || isSubtype(objects[value], add.variables[parameter]);
+                        });
+                    });
+
+                    if (!isAdded) {
+                        report('error', 'unreachable-goal', 'Goal (' + [ goal.action ].concat(goal.parameters).join(' ') + ') can never be reached, because it is not in :init and no action adds it.', { source: 'problem', section: problem.states[1].name }, goal);
+                    }
+                }
+            }
+
+            return diagnostics;
+        },
+
+        diagnosticToString: function(diagnostic) {
+            // Returns a line of text for a diagnostic from validate(), such as 'ERROR: Predicate "on" expects 2 parameters, but 3 found in precondition of action "move". (domain line 12, column 5)'.
+            var location = diagnostic.location;
+
+            return (diagnostic.severity == 'error' ? 'ERROR: ' : 'WARNING: ') + diagnostic.message + (location.line ? ' (' + location.source + ' line ' + location.line + ', column ' + location.column + ')' : '');
+        },
+
+        parsePlan: function(plan) {
+            // Converts a plan, given as a string of lines or a list of steps, into a list of { action, parameters }. Steps may use the format of actionToString(), such as 'move a x y', or IPC plan lines, such as '0.001: (move a x y) [1.000]'. Comments starting with ';' are ignored.
+            var lines = Array.isArray(plan) ? plan : String(plan).split(/\r?\n/);
+            var result = [];
+
+            for (var i in lines) {
+                var line = String(lines[i]).replace(/;.*$/, '').replace(/^\s*\d+(\.\d+)?\s*:/, '').replace(/\[[^\]]*\]\s*$/, '').trim().replace(/^\((.*)\)$/, '$1').trim();
+
+                if (line) {
+                    // Names are case-insensitive, in the same way as the grammars.
+                    var words = line.toLowerCase().split(/\s+/);
+                    result.push({ action: words[0], parameters: words.slice(1) });
+                }
+            }
+
+            return result;
+        },
+
+        validatePlan: function(domain, problem, plan) {
+            // Checks a plan from a person or another planner against the domain and problem, by applying each step in turn from the initial state. Returns a report { valid, steps, cost, failure, goal: { satisfied, missing }, state }.
+            // failure is null, or the first step that could not be applied { step, action, reason, message, unsatisfied }, where unsatisfied lists its preconditions that did not hold. Durative actions are applied one at a time, from start to end.
+            var steps = StripsManager.parsePlan(plan);
+            var state = problem.states[0];
+            var report = { valid: false, steps: 0, cost: 0, failure: null, goal: null, state: state };
+
+            function unsatisfied(conditions, map) {
+                // Returns the conditions that do not hold in the state, as PDDL.
+                return conditions.filter(function(condition) {
+                    return !StripsManager.isPreconditionSatisfied(state, [ StripsManager.bindCondition(condition, map, domain) ], domain);
+                }).map(function(condition) {
+                    return displayNames(pddlNode(StripsManager.bindCondition(condition, map), []), domain.names);
+                });
+            }
+
+            for (var i = 0; i < steps.length; i++) {
+                var step = steps[i];
+                var text = displayNames([ step.action ].concat(step.parameters).join(' '), domain.names);
+                var action = domain.actions.filter(function(action) { return action.action == step.action; })[0];
+                var failure = { step: i + 1, action: text, reason: null, message: null, unsatisfied: [] };
+
+                if (!action) {
+                    failure.reason = 'unknown-action';
+                    failure.message = 'Action "' + step.action + '" is not defined in the domain.';
+                }
+                else if (action.parameters.length != step.parameters.length) {
+                    failure.reason = 'arity';
+                    failure.message = 'Action "' + step.action + '" expects ' + action.parameters.length + ' parameters, but ' + step.parameters.length + ' found.';
+                }
+                else {
+                    var isTyping = domain.requirements.indexOf('typing') != -1;
+                    var map = {};
+
+                    for (var j in action.parameters) {
+                        var value = step.parameters[j];
+                        map[action.parameters[j].parameter] = value;
+
+                        if (!failure.reason && !(isTyping ? StripsManager.isValueOfType(domain, value, action.parameters[j].type) : StripsManager.predicateValues(domain.values).indexOf(value) != -1)) {
+                            failure.reason = 'invalid-parameter';
+                            failure.message = 'Value "' + value + '" is not ' + (isTyping ? 'of type ' + StripsManager.typeList(action.parameters[j].type).join(' or ') + ' for parameter "' + action.parameters[j].parameter + '"' : 'an object of the problem') + '.';
+                        }
+                    }
+
+                    var populatedAction = JSON.parse(JSON.stringify(action));
+                    populatedAction.precondition = action.precondition.map(function(condition) { return StripsManager.bindCondition(condition, map, domain); });
+                    populatedAction.map = map;
+
+                    var applicableAction = !failure.reason && StripsManager.getApplicableActionInState(state, populatedAction, domain);
+
+                    if (!failure.reason && !applicableAction) {
+                        failure.reason = 'precondition';
+                        failure.unsatisfied = unsatisfied(action.precondition, map);
+                    }
+                    else if (applicableAction) {
+                        var childState = StripsManager.applyAction(applicableAction, state, domain);
+
+                        if (action.durative) {
+                            // The over all and at end conditions are tested after the action starts, then the at end effects are applied.
+                            var previous = state;
+                            state = childState;
+                            failure.unsatisfied = unsatisfied(action.overAll.concat(action.endCondition), map);
+                            state = previous;
+
+                            if (failure.unsatisfied.length) {
+                                failure.reason = 'precondition';
+                            }
+                            else {
+                                childState = StripsManager.applyAction({ effect: applicableAction.endEffect }, childState, domain);
+                            }
+                        }
+                    }
+
+                    if (failure.reason == 'precondition') {
+                        failure.message = 'Unsatisfied precondition: ' + failure.unsatisfied.join(', ') + '.';
+                    }
+                }
+
+                if (failure.reason) {
+                    report.failure = failure;
+                    break;
+                }
+
+                report.cost += StripsManager.actionCost(state, childState, domain.metric);
+                report.steps++;
+                state = childState;
+            }
+
+            var missing = problem.states[1].actions.filter(function(goal) {
+                return !StripsManager.isGoal(state, { actions: [ goal ] }, domain);
+            });
+
+            report.goal = { satisfied: !missing.length, missing: missing.map(function(goal) { return displayNames(pddlNode(goal, []), domain.names); }) };
+            report.valid = !report.failure && report.goal.satisfied;
+            report.state = state;
+
+            return report;
+        },
+
+        planReportToString: function(report) {
+            // Returns the report from validatePlan() as lines of text, for display.
+            var lines = [];
+
+            if (report.failure) {
+                lines.push('Step ' + report.failure.step + ' (' + report.failure.action + ') failed: ' + report.failure.message);
+            }
+
+            lines.push(report.steps + ' step' + (report.steps == 1 ? '' : 's') + ' applied, with a cost of ' + report.cost + '.');
+            lines.push(report.goal.satisfied ? 'The goal is satisfied.' : 'The goal is not satisfied. Missing: ' + report.goal.missing.join(', '));
+            lines.push(report.valid ? 'Plan is valid.' : 'Plan is invalid.');
+
+            return lines.join('\n');
+        },
+
+        load: function(domainPath, problemPath, callback, isCode) {
+            // Load the domain and actions. If isCode is true, domainPath and problemPath are strings of PDDL code, otherwise they are filePaths.
+            // Returns a Promise for { domain, problem }. The callback is callback(domain, problem), or callback(err, domain, problem) if errorFirst is set.
+            var promise = StripsManager.loadDomain(domainPath, null, isCode).then(function(domain) {
+                // Load the problem.
+                return StripsManager.loadProblem(problemPath, null, isCode).then(function(problem) {
+                    return { domain: StripsManager.initializeDomain(domain, problem), problem: problem };
+                });
+            });
+
+            return callbackify(promise, callback, function(result) {
+                return [ result.domain, result.problem ];
+            });
+        },
+
+        typeList: function(type) {
+            // Returns the list of types for a parameter type, which may be a type name, an (either t1 t2) list of names, or null for 'object'.
+            return type ? [].concat(type) : [ 'object' ];
+        },
+
+        typeAncestors: function(domain, type) {
+            // Returns the type and all of its supertypes, ending with the implicit root type 'object'.
+            var result = [ type ];
+
+            for (var i = 0; i < result.length; i++) {
+                var supertypes = (domain.supertypes || {})[result[i]] || [];
+
+                for (var j in supertypes) {
+                    if (result.indexOf(supertypes[j]) == -1) {
+                        result.push(supertypes[j]);
+                    }
+                }
+            }
+
+            if (result.indexOf('object') == -1) {
+                result.push('object');
+            }
+
+            return result;
+        },
+
+        typeValues: function(domain, values) {
+            // Given the values for each declared type { truck: ['t1'], car: ['c1'] }, returns the values for every type including their supertypes { truck: ['t1'], car: ['c1'], vehicle: ['t1', 'c1'], object: ['t1', 'c1'] }.
+            var result = {};
+
+            for (var type in values) {
+                // Values without a declared type (null) are not assigned to any supertype.
+                var types = type == 'null' ? [ type ] : StripsManager.typeAncestors(domain, type);
+
+                for (var i in types) {
+                    result[types[i]] = result[types[i]] || [];
+
+                    for (var j in values[type]) {
+                        if (result[types[i]].indexOf(values[type][j]) == -1) {
+                            result[types[i]].push(values[type][j]);
+                        }
+                    }
+                }
+            }
+
+            return result;
+        },
+
+        isValueOfType: function(domain, value, type) {
+            // Returns true if the value belongs to the parameter type (or any of the types in an (either t1 t2) list), including values of its subtypes.
+            var types = StripsManager.typeList(type);
+
+            for (var i in types) {
+                if (domain.values[types[i]] && domain.values[types[i]].indexOf(value) != -1) {
+                    return true;
+                }
+            }
+
+            return false;
+        },
+
+        predicateValues: function(values) {
+            // Converts the values object { block: [ 'a', 'b'], table: ['x', 'y'] } into a flat array of unique values [ 'a', 'b', 'x', 'y' ].
+            var result = [];
+            for (var key in values) {
+                for (var i in values[key]) {
+                    if (result.indexOf(values[key][i]) == -1) {
+                        result.push(values[key][i]);
+                    }
+                }
+            }
+
+            return result;
+        },
+
+        isEqualitySatisfied: function(action, testCase) {
+            // Returns true if the parameter values in testCase satisfy the (= ?x ?y) and (not (= ?x ?y)) literals in the action's precondition.
+            var map = {};
+            for (var i in action.parameters) {
+                map[action.parameters[i].parameter] = testCase[i];
+            }
+
+            for (var i in action.precondition) {
+                var literal = action.precondition[i];
+
+                if (literal.action == '=' && !StripsManager.isComparison(literal)) {
+                    var value1 = map.hasOwnProperty(literal.parameters[0]) ? map[literal.parameters[0]] : literal.parameters[0];
+                    var value2 = map.hasOwnProperty(literal.parameters[1]) ? map[literal.parameters[1]] : literal.parameters[1];
+
+                    if ((value1 == value2) != (literal.operation != 'not')) {
+                        return false;
+                    }
+                }
+            }
+
+            return true;
+        },
+
+        staticPredicates: function(domain) {
+            // Returns the names of the predicates that no action adds or deletes, such as (adjacent ?from ?to). Their literals hold in every state exactly as in the initial state. Derived predicates are never static.
+            var names = [];
+            var isChanged = {};
+
+            for (var i in domain.derived) {
+                isChanged[domain.derived[i].name] = 1;
+            }
+
+            for (var i in domain.actions) {
+                var action = domain.actions[i];
+                var effects = StripsManager.literals(action.effect.concat(action.endEffect || []));
+
+                for (var j in effects) {
+                    isChanged[effects[j].action] = 1;
+                }
+
+                // Include predicates that are used without being declared.
+                var conditions = StripsManager.literals(action.precondition.concat(action.overAll || [], action.endCondition || []));
+                for (var j in conditions) {
+                    if (names.indexOf(conditions[j].action) == -1 && conditions[j].action != '=' && !StripsManager.isComparison(conditions[j])) {
+                        names.push(conditions[j].action);
+                    }
+                }
+            }
+
+            for (var i in domain.predicates) {
+                if (names.indexOf(domain.predicates[i].name) == -1) {
+                    names.push(domain.predicates[i].name);
+                }
+            }
+
+            return names.filter(function(name) { return !isChanged[name]; });
+        },
+
+        ground: function(domain, state) {
+            // Assigns each action the parameter combinations that may become applicable from the state, and returns { kept, pruned } with the number of ground actions. Actions are instantiated from a relaxed reachability analysis, which ignores deletes: starting with the literals of the state, the positive preconditions of an action must be matched by literals that hold or that some ground action may add, until no more literals can be added. Static predicates are matched exactly against the state, including negated ones. Other conditions, such as (or ...), negated literals and numeric comparisons, are assumed to be satisfiable.
+            var isTyping = domain.requirements.indexOf('typing') != -1;
+            var isEquality = !StripsManager.fast || domain.requirements.indexOf('equality') != -1;
+            var statics = StripsManager.staticPredicates(domain);
+            var derived = (domain.derived || []).map(function(axiom) { return axiom.name; });
+            var facts = {};
+            var index = {};
+            var result = { kept: 0, pruned: 0 };
+
+            function addFact(literal) {
+                // Adds a literal to the reachable literals, returning true if it is new.
+                var key = literal.action + ' ' + literal.parameters.join(' ');
+
+                if (facts[key]) {
+                    return false;
+                }
+
+                facts[key] = 1;
+                index[literal.action] = index[literal.action] || [];
+                index[literal.action].push(literal.parameters);
+
+                return true;
+            }
+
+            function flatLiterals(conditions) {
+                // Returns the literals that must hold for the conditions, skipping into (and ...) but not into other compound conditions.
+                var literals = [];
+
+                for (var i in conditions) {
+                    var condition = conditions[i];
+
+                    if (condition.children) {
+                        if (condition.operation == 'and') {
+                            literals = literals.concat(flatLiterals(condition.children));
+                        }
+                    }
+                    else if (condition.action && condition.action != '=' && !StripsManager.isComparison(condition) && derived.indexOf(condition.action) == -1) {
+                        literals.push(condition);
+                    }
+                }
+
+                return literals;
+            }
+
+            for (var i in state.actions) {
+                if (state.actions[i].operation != 'not') {
+                    addFact(state.actions[i]);
+                }
+            }
+
+            var grounds = domain.actions.map(function(action) {
+                // The possible values for each parameter, and the order of the values, which lists the combinations in the same order as baseN.
+                var values = {};
+                var order = {};
+                var ordered = isTyping ? [] : StripsManager.predicateValues(domain.values);
+
+                for (var i in action.parameters) {
+                    var parameter = action.parameters[i];
+                    values[parameter.parameter] = isTyping ? StripsManager.predicateValues(StripsManager.typeList(parameter.type).map(function(type) { return domain.values[type] || []; })) : ordered;
+
+                    if (isTyping) {
+                        values[parameter.parameter].forEach(function(value) {
+                            if (ordered.indexOf(value) == -1) {
+                                ordered.push(value);
+                            }
+                        });
+                    }
+                }
+
+                ordered.forEach(function(value, i) { order[value] = i; });
+
+                // Match static literals first, since they are usually the most selective.
+                var literals = flatLiterals(action.precondition).filter(function(literal) { return literal.operation != 'not'; });
+                literals = literals.filter(function(literal) { return statics.indexOf(literal.action) != -1; }).concat(literals.filter(function(literal) { return statics.indexOf(literal.action) == -1; }));
+
+                return {
+                    values: values,
+                    order: order,
+                    // An action that tests (= ?x ?y) may assign the same value to several parameters, even without :equality.
+                    isFull: isEquality || StripsManager.literals((action.precondition || []).concat(action.effect || [], action.overAll || [], action.endCondition || [])).some(function(literal) {
+                        return literal.action == '=' && !StripsManager.isComparison(literal);
+                    }),
+                    literals: literals,
+                    negatives: flatLiterals(action.precondition).filter(function(literal) { return literal.operation == 'not' && statics.indexOf(literal.action) != -1; }),
+                    combinations: {}
+                };
+            });
+
+            function combinations(action, ground) {
+                // Returns the parameter combinations of the action whose literals are matched by the reachable literals.
+                var parameters = action.parameters.map(function(parameter) { return parameter.parameter; });
+                var map = {};
+                var used = {};
+                var cases = [];
+
+                function assign(parameter, value) {
+                    // Assigns a value to a parameter, if it is of the parameter's type and, unless using the full range of values, not assigned to another parameter.
+                    if (ground.values[parameter].indexOf(value) == -1 || (!ground.isFull && used[value])) {
+                        return false;
+                    }
+
+                    map[parameter] = value;
+                    used[value] = 1;
+
+                    return true;
+                }
+
+                function unassign(parameter) {
+                    delete used[map[parameter]];
+                    delete map[parameter];
+                }
+
+                function complete(k) {
+                    // Assigns every value to the parameters that are not used by any literal.
+                    if (k == parameters.length) {
+                        var testCase = parameters.map(function(parameter) { return map[parameter]; });
+                        var isNegativesSatisfied = ground.negatives.every(function(literal) {
+                            return !facts[literal.action + ' ' + literal.parameters.map(function(parameter) { return map.hasOwnProperty(parameter) ? map[parameter] : parameter; }).join(' ')];
+                        });
+
+                        if (isNegativesSatisfied && StripsManager.isEqualitySatisfied(action, testCase)) {
+                            cases.push(testCase);
+                        }
+                    }
+                    else if (map.hasOwnProperty(parameters[k])) {
+                        complete(k + 1);
+                    }
+                    else {
+                        for (var i in ground.values[parameters[k]]) {
+                            if (assign(parameters[k], ground.values[parameters[k]][i])) {
+                                complete(k + 1);
+                                unassign(parameters[k]);
+                            }
+                        }
+                    }
+                }
+
+                function match(k) {
+                    // Matches the k-th literal against each reachable literal with the same name, binding its unassigned parameters.
+                    if (k == ground.literals.length) {
+                        return complete(0);
+                    }
+
+                    var literal = ground.literals[k];
+                    var candidates = index[literal.action] || [];
+
+                    for (var i in candidates) {
+                        var values = candidates[i];
+                        var assigned = [];
+                        var isMatch = values.length == literal.parameters.length;
+
+                        for (var j = 0; isMatch && j < values.length; j++) {
+                            var parameter = literal.parameters[j];
+
+                            if (map.hasOwnProperty(parameter)) {
+                                isMatch = map[parameter] == values[j];
+                            }
+                            else if (parameters.indexOf(parameter) != -1) {
+                                isMatch = assign(parameter, values[j]);
+                                if (isMatch) {
+                                    assigned.push(parameter);
+                                }
+                            }
+                            else {
+                                // A constant.
+                                isMatch = parameter == values[j];
+                            }
+                        }
+
+                        if (isMatch) {
+                            match(k + 1);
+                        }
+
+                        assigned.forEach(unassign);
+                    }
+                }
+
+                match(0);
+
+                return cases;
+            }
+
+            // Add the literals of each new ground action, until no more literals can be added.
+            var isChanged = true;
+            while (isChanged) {
+                isChanged = false;
+
+                for (var i in domain.actions) {
+                    var action = domain.actions[i];
+                    var cases = combinations(action, grounds[i]);
+
+                    for (var j in cases) {
+                        var key = cases[j].join(' ');
+
+                        if (!grounds[i].combinations[key]) {
+                            grounds[i].combinations[key] = cases[j];
+
+                            var map = {};
+                            for (var k in action.parameters) {
+                                map[action.parameters[k].parameter] = cases[j][k];
+                            }
+
+                            var effects = StripsManager.effectLiterals(StripsManager.bindEffect(action.effect.concat(action.endEffect || []), map, domain));
+                            for (var k in effects) {
+                                if (effects[k].operation != 'not' && addFact(effects[k])) {
+                                    isChanged = true;
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+
+            for (var i in domain.actions) {
+                var action = domain.actions[i];
+                var ground = grounds[i];
+                var count = 1;
+
+                action.parameterCombinations = Object.keys(ground.combinations).map(function(key) { return ground.combinations[key]; });
+
+                // List the combinations in the same order as baseN, with the first parameter changing fastest.
+                action.parameterCombinations.sort(function(a, b) {
+                    for (var k = a.length - 1; k >= 0; k--) {
+                        if (ground.order[a[k]] != ground.order[b[k]]) {
+                            return ground.order[a[k]] - ground.order[b[k]];
+                        }
+                    }
+
+                    return 0;
+                });
+
+                // Every type-correct assignment of values is a candidate.
+                for (var j in action.parameters) {
+                    count *= ground.values[action.parameters[j].parameter].length;
+                }
+
+                result.kept += action.parameterCombinations.length;
+                result.pruned += Math.max(count - action.parameterCombinations.length, 0);
+            }
+
+            return result;
+        },
+
+        andCount: function(precondition) {
+            // Returns the count for the number of 'and' matches in a precondition.
+            var count = 0;
+        
+            for (var i in precondition) {
+                var action = precondition[i];
+                var operation = action.operation || 'and'; // If no operation is specified, default to 'and'. Must explicitly provide 'not' where required.
+            
+                if (operation == 'and') {
+                    count++;
+                }
+            }
+        
+            return count;
+        },
+    
+        isEqual: function(action1, action2) {
+            // Returns true if action1 == action2. Compares name and parameters.
+            var result = false;
+
+            // Find matching action name.
+            if (action1.action == action2.action && action1.parameters.length == action2.parameters.length) {
+                result = true;
+
+                // Find matching parameters.
+                for (var k in action1.parameters) {
+                    // Use the map, if available (in the case of a non-concrete action). Otherwise, use the concrete parameter values.
+                    var value1 = action1.parameters[k].parameter ? action1.parameters[k].parameter : action1.parameters[k];
+                    var value2 = action2.parameters[k].parameter ? action2.parameters[k].parameter : action2.parameters[k];
+
+                    var parameter1 = action1.map ? boundValue(action1.map, value1) : value1;
+                    var parameter2 = action2.map ? boundValue(action2.map, value2) : value2;
+
+                    if (parameter1 != parameter2) {
+                        result = false;
+                        break;
+                    }
+                }
+            }
+        
+            return result;
+        },
+
+        bindCondition: function(condition, map, domain) {
+            // Returns a copy of the condition with each parameter assigned its value from the map. Parameters that are not in the map are left as-is, as constants.
+            // If a domain is provided, (exists ...) and (forall ...) are expanded into an 'or' / 'and' of their condition for each value of the quantified parameters.
+            if (condition.action) {
+                var result = {}; // copy for replacing parameters with actual values.
+                for (var key in condition) {
+                    result[key] = condition[key];
+                }
+
+                result.parameters = condition.parameters.slice();
+
+                for (var i in condition.parameters) {
+                    // Assign this value to all instances of this parameter. Otherwise, this is a constant.
+                    result.parameters[i] = StripsManager.bindTerm(condition.parameters[i], map);
+                }
+
+                return result;
+            }
+            else if ((condition.operation == 'exists' || condition.operation == 'forall') && domain) {
+                var children = [];
+                var combinations = StripsManager.quantifierCombinations(domain, condition.parameters);
+
+                for (var i in combinations) {
+                    // Add the quantified parameter values to a copy of the map.
+                    var innerMap = Object.create(map);
+                    for (var j in condition.parameters) {
+                        innerMap[condition.parameters[j].parameter] = combinations[i][j];
+                    }
+
+                    children.push({ operation: 'and', children: condition.children.map(function(child) { return StripsManager.bindCondition(child, innerMap, domain); }) });
+                }
+
+                return { operation: condition.operation == 'exists' ? 'or' : 'and', children: children };
+            }
+            else {
+                var result = { operation: condition.operation, children: condition.children.map(function(child) { return StripsManager.bindCondition(child, map, domain); }) };
+
+                if (condition.parameters) {
+                    result.parameters = condition.parameters;
+                }
+
+                return result;
+            }
+        },
+
+        isConditionSatisfied: function(state, condition, domain) {
+            // Returns true if a compound condition (and, or, not, imply, exists, forall) holds in the state. A domain is required to test (exists ...) and (forall ...) conditions that have not already been expanded by bindCondition().
+            var children = condition.children;
+
+            switch (condition.operation) {
+                case 'and': return StripsManager.isPreconditionSatisfied(state, children, domain);
+                case 'or': return children.some(function(child) { return StripsManager.isPreconditionSatisfied(state, [ child ], domain); });
+                case 'not': return !StripsManager.isPreconditionSatisfied(state, children, domain);
+                case 'imply': return !StripsManager.isPreconditionSatisfied(state, [ children[0] ], domain) || StripsManager.isPreconditionSatisfied(state, [ children[1] ], domain);
+                case 'exists':
+                case 'forall':
+                    if (!domain) {
+                        StripsManager.output('* ERROR: Unable to test ' + condition.operation + ' condition without a domain.');
+                        return false;
+                    }
+
+                    return StripsManager.isConditionSatisfied(state, StripsManager.bindCondition(condition, {}, domain), domain);
+            }
+
+            StripsManager.output('* ERROR: Unknown condition ' + condition.operation + '.');
+            return false;
+        },
+
+        isEqualityLiteralSatisfied: function(literal) {
+            // Returns true if a concrete (= a b) literal holds, or a (not (= a b)) literal holds.
+            return (literal.parameters[0] == literal.parameters[1]) == (literal.operation != 'not');
+        },
+
+        isComparison: function(literal) {
+            // Returns true if the literal is a numeric comparison, such as (>= (fuel ?t) 10), rather than a predicate or an (= ?x ?y) equality of objects.
+            switch (literal.action) {
+                case '<':
+                case '<=':
+                case '>':
+                case '>=': return true;
+                case '=': return literal.parameters.some(function(parameter) { return typeof(parameter) != 'string'; });
+            }
+
+            return false;
+        },
+
+        bindTerm: function(term, map) {
+            // Returns a copy of a parameter or numeric expression, such as (+ (fuel ?t) 1), with each parameter assigned its value from the map. Numbers and parameters that are not in the map are left as-is.
+            if (typeof(term) == 'object') {
+                return { action: term.action, parameters: term.parameters.map(function(parameter) { return StripsManager.bindTerm(parameter, map); }) };
+            }
+
+            return typeof(term) == 'string' ? (boundValue(map, term) || term) : term;
+        },
+
+        fluentValue: function(state, fluent) {
+            // Returns the current value of a numeric fluent, such as (fuel truck1), in the state, or undefined if it has no value.
+            for (var i in state.fluents) {
+                if (StripsManager.isEqual(state.fluents[i], fluent)) {
+                    return state.fluents[i].value;
+                }
+            }
+        },
+
+        evaluate: function(state, expression) {
+            // Returns the value of a concrete numeric expression, such as (* 2 (fuel truck1)), in the state, or undefined if any fluent in it has no value.
+            if (typeof(expression) != 'object') {
+                return parseFloat(expression);
+            }
+
+            var values = [];
+            for (var i in expression.parameters) {
+                values.push(StripsManager.evaluate(state, expression.parameters[i]));
+            }
+
+            switch (expression.action) {
+                case '+': return values.reduce(function(a, b) { return a + b; });
+                case '-': return values.length == 1 ? -values[0] : values.reduce(function(a, b) { return a - b; });
+                case '*': return values.reduce(function(a, b) { return a * b; });
+                case '/': return values.reduce(function(a, b) { return a / b; });
+            }
+
+            return StripsManager.fluentValue(state, expression);
+        },
+
+        isComparisonSatisfied: function(state, literal) {
+            // Returns true if a concrete numeric comparison, such as (>= (fuel truck1) 10), holds in the state, or a (not (>= ...)) comparison holds. Comparisons with undefined fluents are false.
+            var value1 = StripsManager.evaluate(state, literal.parameters[0]);
+            var value2 = StripsManager.evaluate(state, literal.parameters[1]);
+            var result = false;
+
+            if (value1 != null && value2 != null && !isNaN(value1) && !isNaN(value2)) {
+                switch (literal.action) {
+                    case '<': result = value1 < value2; break;
+                    case '<=': result = value1 <= value2; break;
+                    case '>': result = value1 > value2; break;
+                    case '>=': result = value1 >= value2; break;
+                    case '=': result = value1 == value2; break;
+                }
+            }
+
+            return result == (literal.operation != 'not');
+        },
+
+        isNumericEffect: function(effect) {
+            // Returns true if the effect changes the value of a numeric fluent, such as (increase (fuel ?t) 10).
+            return numericOperations.indexOf(effect.operation) != -1;
+        },
+
+        isPreconditionSatisfied: function(state, precondition, domain) {
+            // Returns true if the precondition is satisfied in the current state.
+            // This function works by making sure all 'and' preconditions exist in the state, and that all 'not' preconditions do not exist in the state. Compound conditions, such as (or ...), are tested with isConditionSatisfied().
+            var matchCount = 0;
+            var andCount = StripsManager.andCount(precondition); // The state needs to contain the actions in action.precondition for 'and'. For 'not', we fail immediately. So, let's count the number of 'and' matches and make sure we satisfy them.
+
+            for (var i = 0; i < precondition.length; i++) {
+                if (precondition[i].children) {
+                    if (StripsManager.isConditionSatisfied(state, precondition[i], domain)) {
+                        matchCount += precondition[i].operation == 'and' ? 1 : 0;
+                        continue;
+                    }
+
+                    matchCount = -1;
+                    break;
+                }
+                else if (StripsManager.isComparison(precondition[i])) {
+                    // Numeric comparisons are tested on the values of the state's fluents.
+                    if (StripsManager.isComparisonSatisfied(state, precondition[i])) {
+                        matchCount += (precondition[i].operation || 'and') == 'and' ? 1 : 0;
+                        continue;
+                    }
+
+                    matchCount = -1;
+                    break;
+                }
+                else if (precondition[i].action == '=') {
+                    // Equality is tested on the parameter values, rather than the state.
+                    if (StripsManager.isEqualityLiteralSatisfied(precondition[i])) {
+                        matchCount += (precondition[i].operation || 'and') == 'and' ? 1 : 0;
+                        continue;
+                    }
+
+                    matchCount = -1;
+                    break;
+                }
+
+                if (state instanceof FactState) {
+                    // Indexed states test the literal's atom directly.
+                    if (state.has(precondition[i])) {
+                        if ((precondition[i].operation || 'and') == 'and') {
+                            matchCount++;
+                        }
+                        else {
+                            matchCount = -1;
+                            break;
+                        }
+                    }
+
+                    continue;
+                }
+
+                // Find a case that contains this action and parameters.
+                for (var l in state.actions) {
+                    var match = true;
+                    var operation = precondition[i].operation || 'and'; // If no operation is specified, default to 'and'. Must explicitly provide 'not' where required.
+
+                    // Check if the name and number of parameters match for the current action and precondition.
+                    if (state.actions[l].action == precondition[i].action && state.actions[l].parameters.length == precondition[i].parameters.length) {
+                        // Check if the parameter values match.
+                        for (var m in precondition[i].parameters) {
+                            if (precondition[i].parameters[m] != state.actions[l].parameters[m]) {
+                                match = false;
+                            }
+                        }
+                    }
+                    else {
+                        match = false;
+                    }
+
+                    if (match) {
+                        // This action exists in the state.                    
+                        if (operation == 'and') {
+                            matchCount++;
+                        }
+                        else {
+                            // Not, set to -1 so this action is not saved as applicable.
+                            matchCount = -1;
+                            break;
+                        }
+                    }
+                }
+            
+                if (matchCount == -1)
+                    break;
+            }
+        
+            return (matchCount == andCount);
+        },
+
+        getApplicableActionInState: function(state, action, domain) {
+            // This function returns an applicable concrete action for the given state, or null if the precondition is not satisfied. If domain is provided, its constants may be used in the effect.
+            var resolvedAction = null;
+
+            // Does the filled-in precondition exist in the state test cases?
+            if (StripsManager.isPreconditionSatisfied(state, action.precondition)) {
+                // This action is applicable.
+                resolvedAction = StripsManager.resolveAction(action, domain);
+            }
+        
+            return resolvedAction;
+        },
+
+        resolveAction: function(action, domain) {
+            // Returns a concrete copy of an action whose precondition has been bound to the values in action.map, with the same values assigned to its effect. If domain is provided, its constants may be used in the effect.
+            // Assign a value to each parameter of the effect.
+            var populatedEffect = StripsManager.bindEffect(action.effect, action.map, domain);
+
+            var resolvedAction = JSON.parse(JSON.stringify(action));
+            resolvedAction.effect = populatedEffect;
+            resolvedAction.map = action.map;
+
+            if (action.durative) {
+                // Assign a value to each parameter of the over all and at end conditions, the at end effect and the duration of a durative action.
+                resolvedAction.overAll = action.overAll.map(function(condition) { return StripsManager.bindCondition(condition, action.map, domain); });
+                resolvedAction.endCondition = action.endCondition.map(function(condition) { return StripsManager.bindCondition(condition, action.map, domain); });
+                resolvedAction.endEffect = StripsManager.bindEffect(action.endEffect, action.map, domain);
+                resolvedAction.duration = StripsManager.bindTerm(action.duration, action.map);
+            }
+
+            return resolvedAction;
+        },
+    
+        bindLiteral: function(literal, map, domain) {
+            // Returns a copy of the literal with each parameter assigned its value from the map. Parameters that are not in the map are left as-is, as constants.
+            var result = {};
+            for (var key in literal) {
+                result[key] = literal[key];
+            }
+
+            result.parameters = literal.parameters.slice();
+
+            for (var n in literal.parameters) {
+                var parameter = literal.parameters[n];
+
+                if (typeof(parameter) != 'string') {
+                    // Numeric expression or number.
+                    result.parameters[n] = StripsManager.bindTerm(parameter, map);
+                    continue;
+                }
+
+                var value = boundValue(map, parameter);
+
+                if (value) {
+                    // Assign this value to all instances of this parameter.
+                    result.parameters[n] = value;
+                }
+                else if (!domain || StripsManager.constantNames(domain).indexOf(parameter) == -1) {
+                    StripsManager.output('* ERROR: Value not found for parameter ' + parameter + '.');
+                }
+            }
+
+            if (literal.value != null) {
+                // The new value of a numeric effect, such as (increase (fuel ?t) (capacity ?t)).
+                result.value = StripsManager.bindTerm(literal.value, map);
+            }
+
+            return result;
+        },
+
+        bindEffect: function(effects, map, domain) {
+            // Returns a concrete copy of an action's effect, with each parameter assigned its value from the map. (forall (?x) ...) effects are expanded for each value of ?x. (when ...) effects keep their condition, which is tested when the action is applied.
+            var result = [];
+
+            for (var i in effects) {
+                var effect = effects[i];
+
+                if (effect.operation == 'forall') {
+                    if (!domain) {
+                        StripsManager.output('* ERROR: Unable to expand forall effect without a domain.');
+                        continue;
+                    }
+
+                    var combinations = StripsManager.quantifierCombinations(domain, effect.parameters);
+                    for (var j in combinations) {
+                        // Add the quantified parameter values to a copy of the map.
+                        var innerMap = Object.create(map);
+                        for (var k in effect.parameters) {
+                            innerMap[effect.parameters[k].parameter] = combinations[j][k];
+                        }
+
+                        result = result.concat(StripsManager.bindEffect(effect.effect, innerMap, domain));
+                    }
+                }
+                else if (effect.operation == 'when') {
+                    result.push({
+                        operation: 'when',
+                        condition: effect.condition.map(function(condition) { return StripsManager.bindCondition(condition, map, domain); }),
+                        effect: StripsManager.bindEffect(effect.effect, map, domain)
+                    });
+                }
+                else {
+                    result.push(StripsManager.bindLiteral(effect, map, domain));
+                }
+            }
+
+            return result;
+        },
+
+        quantifierCombinations: function(domain, parameters) {
+            // Returns all combinations of values for the parameters of a forall or exists, such as (forall (?x - block ?y - block) ...).
+            var result = [ [] ];
+
+            for (var i in parameters) {
+                var values = domain.requirements.indexOf('typing') != -1 ? StripsManager.predicateValues(StripsManager.typeList(parameters[i].type).map(function(type) { return domain.values[type] || []; })) :
+                                                                            StripsManager.predicateValues(domain.values);
+                var next = [];
+
+                for (var j in result) {
+                    for (var k in values) {
+                        next.push(result[j].concat([ values[k] ]));
+                    }
+                }
+
+                result = next;
+            }
+
+            return result;
+        },
+
+        activeEffects: function(effects, state) {
+            // Returns the list of literals for a concrete effect, including the effects of any (when ...) whose condition holds in the state.
+            var result = [];
+
+            for (var i in effects) {
+                var effect = effects[i];
+
+                if (effect.operation == 'when') {
+                    if (StripsManager.isPreconditionSatisfied(state, effect.condition)) {
+                        result = result.concat(StripsManager.activeEffects(effect.effect, state));
+                    }
+                }
+                else {
+                    result.push(effect);
+                }
+            }
+
+            return result;
+        },
+
+        effectLiterals: function(effects) {
+            // Returns the list of literals that a concrete effect may add or delete, including the effects of every (when ...), regardless of its condition. Numeric effects are not included.
+            var result = [];
+
+            for (var i in effects) {
+                if (effects[i].operation == 'when') {
+                    result = result.concat(StripsManager.effectLiterals(effects[i].effect));
+                }
+                else if (!StripsManager.isNumericEffect(effects[i])) {
+                    result.push(effects[i]);
+                }
+            }
+
+            return result;
+        },
+
+        literals: function(nodes) {
+            // Returns all literals in a precondition, goal, or effect, including those nested in compound conditions and (when ...) and (forall ...) effects.
+            var result = [];
+
+            for (var i in nodes) {
+                var node = nodes[i];
+
+                if (node.operation == 'when') {
+                    result = result.concat(StripsManager.literals(node.condition), StripsManager.literals(node.effect));
+                }
+                else if (node.operation == 'forall' && node.effect) {
+                    result = result.concat(StripsManager.literals(node.effect));
+                }
+                else if (node.children) {
+                    result = result.concat(StripsManager.literals(node.children));
+                }
+                else {
+                    result.push(node);
+                }
+            }
+
+            return result;
+        },
+
+        applicableActionsPlus: function(domain, state) {
+            // Returns an array of applicable concrete actions for the current state, including support for negative literals. This method runs StripsManager.applicableActions() two times - one with all positive literals (negative literals removed, which effectively renders all positive literal cases), and one with all positive literals with none that had matching negative literals (which effectively renders all negative literal cases). The result includes a list of unique actions.
+            var result = [];
+            var actionHash = {};
+
+            // Remove negative literals.
+            var stateNoNegatives = JSON.parse(JSON.stringify(state));
+            stateNoNegatives.actions = [];
+            for (var i in state.actions) {
+                var action = state.actions[i];
+
+                if (action.operation != 'not') {
+                    // Not a negative literal, so keep it.
+                    stateNoNegatives.actions.push(action);
+                }
+            }
+
+            // Get applicable actions.
+            var actions = StripsManager.applicableActions(domain, stateNoNegatives);
+
+            // Mark each action as discovered.
+            for (var i in actions) {
+                var action = actions[i];
+
+                result.push(action);
+                actionHash[JSON.stringify(action)] = 1;
+            }
+
+            // Remove matching positive and negative literals, effectively rendering the negative literal.
+            var literalsToRemove = {};
+            var stateNoPositiveNegatives = JSON.parse(JSON.stringify(state));
+            stateNoPositiveNegatives.actions = [];
+
+            // First, collect negative literals.
+            for (var i in state.actions) {
+                var action = state.actions[i];
+                action.operation = action.operation || 'and';
+
+                if (action.operation == 'not') {
+                    // Make a copy of the positive version of this literal.
+                    var copyAction = JSON.parse(JSON.stringify(action));
+                    copyAction.operation = 'and';
+
+                    // Mark the positive version of this literal to be removed (if we come across it).
+                    literalsToRemove[JSON.stringify(copyAction)] = 1;
+                }
+            }
+
+            // Now that we've marked negative literals, go through all literals and only keep those which are positive and not included in the literalsToRemove.
+            for (var i in state.actions) {
+                var action = state.actions[i];
+                action.operation = action.operation || 'and';
+
+                // If this is a positive literal and not in our literalsToRemove list, then include it.
+                if (action.operation != 'not' && !literalsToRemove[JSON.stringify(action)]) {
+                    // Safe to keep this literal.
+                    stateNoPositiveNegatives.actions.push(action);
+                }
+            }
+
+            // Get applicable actions when allowing for negative literals.
+            actions = StripsManager.applicableActions(domain, stateNoPositiveNegatives);
+
+            // Concat new actions.
+            for (var i in actions) {
+                var action = actions[i];
+
+                if (!actionHash[JSON.stringify(action)]) {
+                  result.push(action);
+                }
+            }
+
+            return result;
+        },
+
+        applicableActions: function(domain, state) {
+            // Returns an array of applicable concrete actions for the current state, using the possible parameter values in domain.values array (Example: values = ['a', 'b', 't1', 't2', 't3']).
+            // Each ground action, compiled by indexDomain() from the parameter combinations of a domain action, is tested against the atoms of the indexed state. If its precondition holds, then that action is applicable in the current state.
+            var result = [];
+
+            if (!domain.values || domain.values.length == 0) {
+                StripsManager.output('ERROR: No parameter values found in domain.values.');
+                return;
+            }
+
+            var store = domain.store || StripsManager.indexDomain(domain);
+            state = StripsManager.indexState(domain, state);
+
+            for (var i = 0; i < store.actions.length; i++) {
+                var ground = store.actions[i];
+
+                // Test the atoms of the literals first, then any other conditions, such as (or ...) or numeric comparisons.
+                if (hasFacts(state.facts, ground.pre, true) && hasFacts(state.facts, ground.neg, false) &&
+                    (!ground.conditions.length || StripsManager.isPreconditionSatisfied(state, ground.conditions, domain))) {
+                    result.push(ground.action);
+                }
+            }
+
+            return result;
+        },
+
+        indexDomain: function(domain) {
+            // Compiles the domain's ground actions, one for each parameter combination of each action, into a FactStore, which numbers their literals as atoms. applicableActions() tests the atoms of their preconditions on indexed states, and applyAction() sets and clears the atoms of their effects. initializeDomain() calls this after grounding. Returns the store.
+            var store = new FactStore();
+
+            for (var i in domain.actions) {
+                var action = domain.actions[i];
+
+                for (var j in action.parameterCombinations) {
+                    var testCase = action.parameterCombinations[j];
+                    var populatedAction = {}; // copy for replacing parameters with actual values. resolveAction() makes a deep copy.
+                    var parameterMap = {};
+
+                    for (var key in action) {
+                        if (key != 'parameterCombinations') {
+                            populatedAction[key] = action[key];
+                        }
+                    }
+
+                    for (var k in action.parameters) {
+                        parameterMap[action.parameters[k].parameter] = testCase[k];
+                    }
+
+                    // Assign a value to each parameter of the precondition.
+                    populatedAction.precondition = action.precondition.map(function(condition) { return StripsManager.bindCondition(condition, parameterMap, domain); });
+                    populatedAction.map = parameterMap;
+
+                    var resolvedAction = StripsManager.resolveAction(populatedAction, domain);
+                    var ground = { action: resolvedAction, pre: [], neg: [], conditions: [] };
+
+                    for (var k in resolvedAction.precondition) {
+                        var condition = resolvedAction.precondition[k];
+
+                        if (condition.children || condition.action == '=' || StripsManager.isComparison(condition)) {
+                            ground.conditions.push(condition);
+                        }
+                        else {
+                            ground[(condition.operation || 'and') == 'and' ? 'pre' : 'neg'].push(store.id(condition, true));
+                        }
+                    }
+
+                    // Effects that are only literals are compiled to the atoms that they add and delete. Conditional and numeric effects are applied from the effect itself.
+                    if (resolvedAction.effect.every(function(effect) { return effect.operation != 'when' && !StripsManager.isNumericEffect(effect); })) {
+                        var atoms = { add: [], del: [] };
+
+                        for (var k in resolvedAction.effect) {
+                            atoms[(resolvedAction.effect[k].operation || 'and') == 'and' ? 'add' : 'del'].push(store.id(resolvedAction.effect[k], true));
+                        }
+
+                        Object.defineProperty(resolvedAction, 'atoms', { value: atoms });
+                    }
+
+                    store.actions.push(ground);
+                }
+            }
+
+            Object.defineProperty(domain, 'store', { value: store, configurable: true, writable: true });
+
+            return store;
+        },
+
+        indexState: function(domain, state) {
+            // Returns the indexed form of a state, a FactState that stores the literals that hold as a bitset of the atoms of the domain's FactStore. States that are already indexed for the domain are returned as-is.
+            var store = domain.store || StripsManager.indexDomain(domain);
+
+            if (state instanceof FactState && state.store == store) {
+                return state;
+            }
+
+            return new FactState(store, store.bits(state.actions), state.fluents);
+        },
+
+        applyAction: function(action, state, domain) {
+            // Applies an action on a state and returns the new state. It is assumed that the precondition has already been tested. If a domain is provided, its derived predicates are recomputed on the new state.
+            if (state instanceof FactState) {
+                return StripsManager.applyIndexedAction(action, state, domain);
+            }
+
+            var result = JSON.parse(JSON.stringify(state));
+            var effects = StripsManager.activeEffects(action.effect, state); // (when ...) conditions are tested against the state before the action is applied.
+
+            for (var i in effects) {
+                var actionOperation = effects[i];
+                var operation = actionOperation.operation || 'and';
+
+                if (StripsManager.isNumericEffect(actionOperation)) {
+                    // Update the value of a numeric fluent. The new value is calculated from the state before the action is applied.
+                    StripsManager.applyNumericEffect(actionOperation, state, result);
+                }
+                else if (operation == 'and') {
+                    // Make sure this predicate doesn't already exist in the state.
+                    var isExists = false;
+                    for (var j in state.actions) {
+                        // Find matching action.
+                        if (StripsManager.isEqual(state.actions[j], actionOperation)) {
+                            isExists = true;
+                            break;
+                        }
+                    }
+
+                    if (!isExists) {
+                        // Add this predicate to the state.
+                        result.actions.push(actionOperation);
+                    }                
+                }
+                else {
+                    // Remove this predicate from the state.
+                    for (var j in state.actions) {
+                        // Find matching action.
+                        if (StripsManager.isEqual(state.actions[j], actionOperation)) {
+                            // This is our target. Find the same item in our result list (since result may now have different indices than state.actions, if new actions were added via 'and').
+                            for (var k in result.actions) {
+                                if (StripsManager.isEqual(state.actions[j], result.actions[k])) {
+                                    result.actions.splice(k, 1);
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+
+            return domain ? StripsManager.applyDerived(domain, result) : result;
+        },
+
+        applyIndexedAction: function(action, state, domain) {
+            // Applies an action on an indexed state and returns the new indexed state. The bitset is copied, and the new state shares the fluents of the state unless a numeric effect changes them. As with plain states, a literal that is both added and deleted is only deleted if it held before the action.
+            var store = state.store;
+            var atoms = action.atoms || { add: [], del: [] };
+            var effects = action.atoms ? [] : StripsManager.activeEffects(action.effect, state);
+            var numeric = null;
+
+            for (var i in effects) {
+                if (StripsManager.isNumericEffect(effects[i])) {
+                    // Update a copy of the fluents, with values taken from the state before the action is applied.
+                    numeric = numeric || { fluents: state.fluents && JSON.parse(JSON.stringify(state.fluents)) };
+                    StripsManager.applyNumericEffect(effects[i], state, numeric);
+                }
+                else {
+                    atoms[(effects[i].operation || 'and') == 'and' ? 'add' : 'del'].push(store.id(effects[i], true));
+                }
+            }
+
+            var facts = state.facts.slice();
+            for (var i in atoms.add) {
+                facts = setFact(facts, atoms.add[i], true);
+            }
+
+            for (var i in atoms.del) {
+                if (hasFact(state.facts, atoms.del[i])) {
+                    facts = setFact(facts, atoms.del[i], false);
+                }
+            }
+
+            var result = new FactState(store, facts, numeric ? numeric.fluents : state.fluents);
+
+            return domain ? StripsManager.applyDerived(domain, result) : result;
+        },
+
+        applyDerived: function(domain, state) {
+            // Recomputes the derived predicates of the state. Derived literals are removed, then each derived literal whose condition holds is added, until no more can be added (a fixpoint). This allows axioms such as (above ?x ?y) to be defined in terms of themselves. Returns the state.
+            if (!domain.derived || !domain.derived.length) {
+                return state;
+            }
+
+            if (state instanceof FactState) {
+                // Indexed states are changed in place, then their hash is recalculated.
+                for (var i in domain.derived) {
+                    for (var j in domain.derived[i].groundings) {
+                        state.facts = setFact(state.facts, state.store.id(domain.derived[i].groundings[j].literal, true), false);
+                    }
+                }
+
+                var isChanged = true;
+                while (isChanged) {
+                    isChanged = false;
+
+                    for (var i in domain.derived) {
+                        for (var j in domain.derived[i].groundings) {
+                            var grounding = domain.derived[i].groundings[j];
+                            var id = state.store.id(grounding.literal);
+
+                            if (!hasFact(state.facts, id) && StripsManager.isPreconditionSatisfied(state, grounding.condition, domain)) {
+                                state.facts = setFact(state.facts, id, true);
+                                isChanged = true;
+                            }
+                        }
+                    }
+                }
+
+                state.update();
+                return state;
+            }
+
+            var names = domain.derived.map(function(axiom) { return axiom.name; });
+            var isAdded = {};
+            var isChanged = true;
+
+            state.actions = state.actions.filter(function(literal) { return names.indexOf(literal.action) == -1; });
+
+            while (isChanged) {
+                isChanged = false;
+
+                for (var i in domain.derived) {
+                    for (var j in domain.derived[i].groundings) {
+                        var grounding = domain.derived[i].groundings[j];
+                        var key = grounding.literal.action + ' ' + grounding.literal.parameters.join(' ');
+
+                        if (!isAdded[key] && StripsManager.isPreconditionSatisfied(state, grounding.condition, domain)) {
+                            isAdded[key] = 1;
+                            isChanged = true;
+                            state.actions.push(JSON.parse(JSON.stringify(grounding.literal)));
+                        }
+                    }
+                }
+            }
+
+            return state;
+        },
+
+        applyNumericEffect: function(effect, state, result) {
+            // Updates the value of the fluent in the result state for a concrete numeric effect, such as (increase (fuel truck1) 10), with values taken from the original state.
+            var current = StripsManager.fluentValue(state, effect);
+            var value = StripsManager.evaluate(state, effect.value);
+
+            switch (effect.operation) {
+                case 'increase': value = current + value; break;
+                case 'decrease': value = current - value; break;
+                case 'scale-up': value = current * value; break;
+                case 'scale-down': value = current / value; break;
+            }
+
+            if (value == null || isNaN(value)) {
+                StripsManager.output('* ERROR: Unable to ' + effect.operation + ' (' + [ effect.action ].concat(effect.parameters).join(' ') + '), the fluent has no value.');
+                return;
+            }
+
+            result.fluents = result.fluents || [];
+
+            for (var i in result.fluents) {
+                if (StripsManager.isEqual(result.fluents[i], effect)) {
+                    result.fluents[i].value = value;
+                    return;
+                }
+            }
+
+            result.fluents.push({ action: effect.action, parameters: effect.parameters, value: value });
+        },
+
+        getChildStates: function(domain, state) {
+            // Returns the list of child states for the current state, after applying all applicable actions. The child states are indexed states.
+            var children = [];
+
+            state = StripsManager.indexState(domain, state);
+
+            var actions = StripsManager.applicableActions(domain, state);
+            for (var i in actions) {
+                var action = actions[i];
+                children.push({ state: StripsManager.applyAction(action, state, domain), action: action });
+            }
+
+            return children;
+        },
+
+        isGoal: function(state, goalState, domain) {
+            // Returns true if the state contains the goal conditions. A domain is required for goals that use (exists ...) or (forall ...).
+            var result = true;
+
+            for (var i in goalState.actions) {
+                var goalAction = goalState.actions[i];
+                var operation = goalAction.operation || 'and';
+
+                if (goalAction.children) {
+                    // Compound goal, such as (or ...).
+                    if (!StripsManager.isConditionSatisfied(state, goalAction, domain)) {
+                        result = false;
+                        break;
+                    }
+                }
+                else if (StripsManager.isComparison(goalAction)) {
+                    // Numeric comparisons are tested on the values of the state's fluents.
+                    if (!StripsManager.isComparisonSatisfied(state, goalAction)) {
+                        result = false;
+                        break;
+                    }
+                }
+                else if (goalAction.action == '=') {
+                    // Equality is tested on the parameter values, rather than the state.
+                    if (!StripsManager.isEqualityLiteralSatisfied(goalAction)) {
+                        result = false;
+                        break;
+                    }
+                }
+                else if (operation == 'and') {
+                    // Make sure this action exists in the state.
+                    var isExists = StripsManager.isLiteralInState(state, goalAction);
+
+                    // If we found a match, then this goal action exists. Move on to next tests.
+                    if (!isExists) {
+                        result = false;
+                        break;
+                    }
+                }
+                else {
+                    // Make sure this action does not exist in the state. If it does, this is our target, so it fails the goal test.
+                    var isExists = StripsManager.isLiteralInState(state, goalAction);
+
+                    if (isExists) {
+                        // Found a match for 'not', so goal fails.
+                        result = false;
+                        break;
+                    }
+                }
+            }
+
+            return result;
+        },
+
+        isLiteralInState: function(state, literal) {
+            // Returns true if the concrete literal exists in the state. Indexed states test the literal's atom directly.
+            if (state instanceof FactState) {
+                return state.has(literal);
+            }
+
+            for (var i in state.actions) {
+                if (StripsManager.isEqual(state.actions[i], literal)) {
+                    return true;
+                }
+            }
+
+            return false;
+        },
+
+        actionToString: function(action, domain) {
+            // Returns a concrete action as text, such as 'move a x y'. If domain is provided, names are written with their original spelling.
+            var result = action.action;
+
+            for (var key in action.map) {
+                result += ' ' + action.map[key];
+            }
+
+            return domain ? displayNames(result, domain.names) : result;
+        },
+
+        stateToString: function(state) {
+            // Converts a state to a string of its sorted literals. The string of an indexed state is kept, since it does not change.
+            if (state instanceof FactState && state.cache.text != null) {
+                return state.cache.text;
+            }
+
+            var result = '';
+            var actionList = [];
+
+            for (var i in state.actions) {
+                var action = state.actions[i];
+
+                var actionString = '(' + action.action;
+                for (var j in action.parameters) {
+                    actionString += ' ' + action.parameters[j];
+                }
+                actionString += ')';
+
+                // Keep a list of actions so we can sort them. This allows two states with different orderings of the same actions to result in the same string.
+                actionList.push(actionString);
+            }
+
+            // Include the values of numeric fluents, so that states with different values are distinct. The (total-cost) only records the cost of the actions taken to reach the state, so it is not included.
+            for (var i in state.fluents) {
+                var fluent = state.fluents[i];
+                if (fluent.action == 'total-cost' && !fluent.parameters.length) {
+                    continue;
+                }
+
+                actionList.push('(= (' + [ fluent.action ].concat(fluent.parameters).join(' ') + ') ' + fluent.value + ')');
+            }
+
+            for (var i in actionList.sort()) {
+                if (i > 0) {
+                    result += ' ';
+                }
+                result += actionList[i];
+            }
+
+            if (state instanceof FactState) {
+                state.cache.text = result;
+            }
+
+            return result;
+        },
+
+        stateHash: function(state) {
+            // Returns a string that identifies a state, for keeping track of visited states. Indexed states use their hash, which is calculated once, rather than sorting their literals.
+            return state instanceof FactState ? state.hash : StripsManager.stateToString(state);
+        },
+
+        actionCost: function(state, childState, metric) {
+            // Returns the cost of the action that changed state into childState, according to the problem's metric, such as (:metric minimize (total-cost)). This is the amount that the metric increased by, for both minimize and maximize, so that the cost of a solution is the change in the metric. Without a metric, each action costs 1.
+            if (!metric) {
+                return 1;
+            }
+
+            var result = StripsManager.evaluate(childState, metric.expression) - StripsManager.evaluate(state, metric.expression);
+            if (isNaN(result)) {
+                // The metric's fluents have no value.
+                return 1;
+            }
+
+            return result;
+        },
+
+        pathCost: function(domain, node) {
+            // Returns the total cost of the actions in a search path, ending with node, where each node has a state and its parent node.
+            var result = 0;
+
+            while (node != null && node.parent != null) {
+                result += StripsManager.actionCost(node.parent.state, node.state, domain.metric);
+                node = node.parent;
+            }
+
+            return result;
+        },
+
+        relaxedProblem: function(domain) {
+            // Returns the ground actions of the domain with their deletes ignored, as { actions: [ { pre, add } ], byPre }, where pre and add are the atoms of each action's precondition and positive effects, and byPre lists the actions that need each atom. Literals of derived predicates are assumed to hold. The result is kept with the domain's FactStore.
+            var store = domain.store || StripsManager.indexDomain(domain);
+            var derived = (domain.derived || []).map(function(axiom) { return axiom.name; });
+
+            if (store.relaxed) {
+                return store.relaxed;
+            }
+
+            var relaxed = { actions: [], byPre: {} };
+
+            for (var i = 0; i < store.actions.length; i++) {
+                var action = store.actions[i].action;
+                var pre = [];
+                var add = [];
+
+                store.actions[i].pre.forEach(function(id) {
+                    if (pre.indexOf(id) == -1 && derived.indexOf(store.atoms[id].action) == -1) {
+                        pre.push(id);
+                    }
+                });
+
+                StripsManager.effectLiterals(action.effect.concat(action.endEffect || [])).forEach(function(literal) {
+                    var id = store.id(literal, true);
+
+                    if ((literal.operation || 'and') == 'and' && add.indexOf(id) == -1) {
+                        add.push(id);
+                    }
+                });
+
+                relaxed.actions.push({ pre: pre, add: add });
+
+                for (var j in pre) {
+                    relaxed.byPre[pre[j]] = relaxed.byPre[pre[j]] || [];
+                    relaxed.byPre[pre[j]].push(i);
+                }
             }
-        });
-    },
 
-    loadGrammar: function(grammarFileName, codeFileName, callback) {
-        // Applies a PEG.js grammar against a code file and returns the parsed JSON result.
-        fs.readFile(codeFileName, 'utf8', function(err, code) {
-            if (err) throw err;
+            store.relaxed = relaxed;
+
+            return relaxed;
+        },
+
+        relaxedActionCosts: function(domain, state) {
+            // Returns the cost of each ground action of the relaxed problem in the indexed state, according to the problem's metric (see actionCost()), or null if there is no metric to minimize, in which case each action costs 1. Only the numeric effects outside of (when ...) are counted, and a negative cost counts as 0, so that a heuristic does not over-estimate the cost when the values of the effects do not change from state to state, as with (:action-costs).
+            var store = domain.store;
+            var metric = domain.metric;
 
-            StripsManager.loadCode(grammarFileName, code, function(result) {
-                if (callback) {
-                    callback(result);
+            if (!metric || metric.optimization == 'maximize') {
+                return null;
+            }
+
+            var result = [];
+
+            for (var i = 0; i < store.actions.length; i++) {
+                var action = store.actions[i].action;
+                var effects = action.effect.concat(action.endEffect || []).filter(StripsManager.isNumericEffect);
+                var cost = 0;
+
+                if (effects.length) {
+                    // Apply the numeric effects to a copy of the fluents, with values taken from the state, and measure the change in the metric.
+                    var childState = { fluents: (state.fluents || []).map(function(fluent) { return { action: fluent.action, parameters: fluent.parameters, value: fluent.value }; }) };
+
+                    for (var j in effects) {
+                        StripsManager.applyNumericEffect(effects[j], state, childState);
+                    }
+
+                    cost = Math.max(0, StripsManager.actionCost(state, childState, metric));
                 }
-            });
-        });
-    },
 
-    loadDomain: function(filePath, callback, isCode) {
-        // Applies the PEG.js grammar for a STRIPS PDDL domain file and returns the parsed JSON result.
-        if (!isCode) {
-            StripsManager.loadGrammar(StripsManager.grammarDomainPath, filePath, function(result) {
-                // Load from file path.
-                if (callback) {
-                    callback(result);
+                result.push(cost);
+            }
+
+            return result;
+        },
+
+        relaxedGoals: function(domain, goalState) {
+            // Returns the atoms of the goal that relaxed plans are found for: its positive literals, other than equality, comparisons and derived predicates.
+            var store = domain.store || StripsManager.indexDomain(domain);
+            var derived = (domain.derived || []).map(function(axiom) { return axiom.name; });
+            var goals = [];
+
+            function addGoals(conditions) {
+                for (var i in conditions) {
+                    var condition = conditions[i];
+
+                    if (condition.children) {
+                        if (condition.operation == 'and') {
+                            addGoals(condition.children);
+                        }
+                    }
+                    else if ((condition.operation || 'and') == 'and' && condition.action != '=' && !StripsManager.isComparison(condition) && derived.indexOf(condition.action) == -1) {
+                        goals.push(store.id(condition, true));
+                    }
                 }
-            });
-        }
-        else {
-            // Load from string.
-            StripsManager.loadCode(StripsManager.grammarDomainPath, filePath, function(result) {
-                if (callback) {
-                    callback(result);
+            }
+
+            addGoals(goalState.actions);
+
+            return goals;
+        },
+
+        relaxedCost: function(domain, state, goalState, type) {
+            // Returns the cost of reaching the goal from the state when deletes are ignored, with type 'add' (the sum of the costs of the goal literals), 'max' (the highest cost of a goal literal) or 'ff' (the number of actions in a relaxed plan, or their total cost when the problem has a metric). Each action costs 1, or its cost according to the metric (see relaxedActionCosts()). Only the positive literals of the goal are counted. Returns Infinity if the goal can not be reached.
+            var relaxed = StripsManager.relaxedProblem(domain);
+            var goals = StripsManager.relaxedGoals(domain, goalState);
+
+            state = StripsManager.indexState(domain, state);
+
+            var actionCosts = StripsManager.relaxedActionCosts(domain, state);
+            var costs = relaxedCosts(relaxed, domain.store.atoms.length, state.facts, type == 'max', actionCosts);
+
+            if (type == 'ff') {
+                var plan = relaxedPlan(relaxed, costs, goals);
+                if (!plan) {
+                    return Infinity;
                 }
-            });            
-        }
-    },
 
-    loadProblem: function(filePath, callback, isCode) {
-        // Applies the PEG.js grammar for a STRIPS PDDL problem file and returns the parsed JSON result.
-        if (!isCode) {
-            // Load from file path.
-            StripsManager.loadGrammar(StripsManager.grammarProblemPath, filePath, function(problem) {
-                StripsManager.initializeProblem(problem, callback)
+                return actionCosts ? plan.actions.reduce(function(total, action) { return total + actionCosts[action]; }, 0) : plan.actions.length;
+            }
+
+            var result = 0;
+            for (var i in goals) {
+                result = type == 'max' ? Math.max(result, costs.cost[goals[i]]) : result + costs.cost[goals[i]];
+            }
+
+            return result;
+        },
+
+        helpfulActions: function(domain, state, goalState) {
+            // Returns the applicable actions in the state that are helpful, as in the FF planner: those that reach an atom of the relaxed plan for the goal (see relaxedCost()) that does not yet hold. Returns an empty array if the goal can not be reached.
+            var relaxed = StripsManager.relaxedProblem(domain);
+            var store = domain.store;
+
+            state = StripsManager.indexState(domain, state);
+
+            var plan = relaxedPlan(relaxed, relaxedCosts(relaxed, store.atoms.length, state.facts, false, StripsManager.relaxedActionCosts(domain, state)), StripsManager.relaxedGoals(domain, goalState));
+            if (!plan) {
+                return [];
+            }
+
+            var isNeeded = {};
+            plan.atoms.forEach(function(id) {
+                if (!hasFact(state.facts, id)) {
+                    isNeeded[id] = 1;
+                }
             });
-        }
-        else {
-            // Load from string.
-            StripsManager.loadCode(StripsManager.grammarProblemPath, filePath, function(problem) {
-                StripsManager.initializeProblem(problem, callback)
-            });            
-        }
-    },
-    
-    initializeProblem: function(problem, callback) {
-        // Populate list of parameter values.
-        var values = {};
-        for (var i in problem.states) {
-            var state = problem.states[i];
-            for (var j in state.actions) {
-                var action = state.actions[j];
 
-                // Collect all unique parameter values.
-                for (var k in action.parameters) {
-                    values[action.parameters[k]] = 1;
+            var helpful = [];
+            for (var i = 0; i < relaxed.actions.length; i++) {
+                if (relaxed.actions[i].add.some(function(id) { return isNeeded[id]; })) {
+                    helpful.push(store.actions[i].action);
                 }
             }
-        }
 
-        // Set parameter values list on problem.
-        problem.values = {};
-        for (var key in values) {
-            // Look-up type for this value in the objects declaration.
-            var type = null;
+            return StripsManager.applicableActions(domain, state).filter(function(action) { return helpful.indexOf(action) != -1; });
+        },
+
+        algorithms: {
+            // Search algorithms that may be selected by name in the options of solve(), with the name that is displayed for each.
+            astar: 'A*',
+            wastar: 'weighted A*',
+            gbfs: 'greedy best-first search',
+            ehc: 'enforced hill-climbing',
+            idastar: 'IDA*',
+            bfs: 'breadth-first-search',
+            dfs: 'depth-first-search',
+            iddfs: 'iterative deepening depth-first-search',
+            regression: 'regression search',
+            bidirectional: 'bidirectional search',
+            graphplan: 'GraphPlan'
+        },
+
+        heuristics: {
+            // Domain-independent heuristics for A* search, in the format cost(state, domain, goalState). They may be passed to solve() as the cost, or selected by name.
+            goalCount: function(state, domain, goalState) {
+                // The number of goal conditions that do not hold in the state.
+                return goalState.actions.filter(function(goal) { return !StripsManager.isGoal(state, { actions: [ goal ] }, domain); }).length;
+            },
+
+            hAdd: function(state, domain, goalState) {
+                // The sum of the costs of reaching each goal literal, when deletes are ignored.
+                return StripsManager.relaxedCost(domain, state, goalState, 'add');
+            },
+
+            hMax: function(state, domain, goalState) {
+                // The highest cost of reaching a goal literal, when deletes are ignored. When the cost of each action is fixed (see relaxedActionCosts()), this never over-estimates the cost (it is admissible), so A* search finds an optimal plan.
+                return StripsManager.relaxedCost(domain, state, goalState, 'max');
+            },
+
+            hFF: function(state, domain, goalState) {
+                // The number of actions in a plan that reaches the goal when deletes are ignored, as in the FF planner, or their total cost when the problem has a metric.
+                return StripsManager.relaxedCost(domain, state, goalState, 'ff');
+            }
+        },
 
-            for (var i in problem.objects) {
-                for (var j in problem.objects[i].parameters) {
-                    var parameter = problem.objects[i].parameters[j];
-                    if (parameter == key) {
-                        type = problem.objects[i].type;
-                        break;
+        solve: function(domain, problem, isDfs, maxSolutions, cost) {
+            // Find solution using A*, depth-first, or breadth-first search. Options { algorithm, heuristic, weight, maxSolutions, maxDepth } may be passed in place of isDfs, to choose any of the algorithms in StripsManager.algorithms.
+            var options = null;
+            var algorithm;
+            var weight = 1;
+            var maxDepth;
+
+            if (isDfs && typeof(isDfs) == 'object') {
+                options = isDfs;
+
+                algorithm = options.algorithm || (options.heuristic ? 'astar' : 'dfs');
+                maxSolutions = options.maxSolutions;
+                maxDepth = options.maxDepth;
+                weight = options.weight != null ? options.weight : (algorithm == 'wastar' ? 2 : 1);
+
+                // Searches that need a heuristic use hFF by default, except for A* and IDA* search, which use the admissible hMax so that they find an optimal plan.
+                cost = options.heuristic || ([ 'gbfs', 'wastar', 'ehc' ].indexOf(algorithm) != -1 ? 'hFF' : ([ 'astar', 'idastar' ].indexOf(algorithm) != -1 ? 'hMax' : null));
+            }
+            else {
+                if ((typeof(isDfs) == 'function' || typeof(isDfs) == 'string') && !cost) {
+                    // Allow passing cost as 3rd parameter.
+                    cost = isDfs;
+                }
+                else if (isDfs == null) {
+                    // If no other option specified, use depth-first-search by default.
+                    isDfs = true;
+                }
+
+                algorithm = cost ? 'astar' : (isDfs ? 'dfs' : 'bfs');
+            }
+        
+            maxSolutions = maxSolutions || 1;
+
+            if (!StripsManager.algorithms[algorithm]) {
+                StripsManager.output('ERROR: Unknown algorithm "' + algorithm + '". Use one of: ' + Object.keys(StripsManager.algorithms).join(', ') + '.');
+                return;
+            }
+
+            if (typeof(cost) == 'string') {
+                // A built-in heuristic, selected by name, such as 'hFF'.
+                if (!StripsManager.heuristics[cost]) {
+                    StripsManager.output('ERROR: Unknown heuristic "' + cost + '". Use one of: ' + Object.keys(StripsManager.heuristics).join(', ') + '.');
+                    return;
+                }
+
+                cost = StripsManager.heuristics[cost];
+            }
+
+            if (cost && typeof(cost) != 'function') {
+                StripsManager.output('ERROR: parameter "cost" must be a function to serve as the A* algorithm heuristic. Method: solve(domain, problem, isDepthFirstSearch, cost, maxSolutions). Usage: solve(domain, problem), solve(domain, problem, false), solve(domain, problem, cost).');
+                return;
+            }
+        
+            if (StripsManager.validate(domain).some(function(diagnostic) { return diagnostic.code == 'derived-effect'; })) {
+                // The derived predicates are recomputed after each action, so an action that changes one would not do what it says.
+                StripsManager.output('ERROR: The domain has actions that add or delete derived predicates, so it cannot be solved. See validate() for the actions.');
+                return [];
+            }
+
+            if (StripsManager.isTemporal(domain)) {
+                // Durative actions may run in parallel, so find a schedule rather than a sequence of actions. The temporal search is a form of A* search, so no other algorithm may be chosen.
+                if (options && options.algorithm && options.algorithm != 'astar') {
+                    StripsManager.output('ERROR: The ' + StripsManager.algorithms[algorithm] + ' algorithm does not support durative actions. Use "astar", or leave out the algorithm, for temporal search.');
+                    return [];
+                }
+
+                if (StripsManager.verbose) {
+                    StripsManager.output('Using temporal search.');
+                    StripsManager.output('');
+                }
+
+                // The default heuristics estimate steps or metric costs rather than time, so a heuristic is only used if one was chosen.
+                return StripsManager.solveTemporal(domain, problem.states[0], problem.states[1], options && !options.heuristic ? null : cost, maxSolutions);
+            }
+
+            if (domain.metric && domain.metric.optimization == 'maximize' && [ 'astar', 'wastar', 'idastar' ].indexOf(algorithm) != -1) {
+                // These searches minimize the cost of a plan. A metric to maximize may have no bound on how much a plan gains, so they could search forever.
+                StripsManager.output('ERROR: The ' + StripsManager.algorithms[algorithm] + ' algorithm minimizes the metric, so it does not support (:metric maximize ...). Use another algorithm, such as "bfs", or a metric to minimize.');
+                return [];
+            }
+
+            if (StripsManager.verbose) {
+                StripsManager.output('Using ' + StripsManager.algorithms[algorithm] + (algorithm == 'wastar' ? ' (weight ' + weight + ')' : '') + '.');
+                StripsManager.output('');
+            }
+
+            switch (algorithm) {
+                case 'astar': return StripsManager.solveAs(domain, problem.states[0], problem.states[1], cost, maxSolutions);
+                case 'wastar': return StripsManager.solveAs(domain, problem.states[0], problem.states[1], cost, maxSolutions, weight);
+                case 'gbfs': return StripsManager.solveAs(domain, problem.states[0], problem.states[1], cost, maxSolutions, Infinity);
+                case 'ehc': return StripsManager.solveEhc(domain, problem.states[0], problem.states[1], cost);
+                case 'idastar': return StripsManager.solveIdas(domain, problem.states[0], problem.states[1], cost, maxSolutions);
+                case 'dfs': return StripsManager.solveDfs(domain, problem.states[0], problem.states[1], maxSolutions, maxDepth);
+                case 'iddfs': return StripsManager.solveIddfs(domain, problem.states[0], problem.states[1], maxSolutions, maxDepth);
+                case 'regression': return StripsManager.solveRegression(domain, problem.states[0], problem.states[1], maxSolutions);
+                case 'bidirectional': return StripsManager.solveBidirectional(domain, problem.states[0], problem.states[1]);
+                case 'graphplan': return StripsManager.solveGraphPlan(domain, problem.states[0], problem.states[1], maxDepth);
+                case 'bfs': return StripsManager.solveBfs(domain, problem.states[0], problem.states[1], maxSolutions);
+            }
+        },
+
+        searchDepthFirst: function(domain, state, goalState, maxSolutions, bound, cost, isLinear) {
+            // Depth-first search, using an explicit stack rather than recursion, of the states with f = g + h within bound. Without a cost function, g is the depth and h is 0, so bound limits the number of steps. With a heuristic cost(state, domain, goalState), g is the cost of the path (see actionCost()), as in A* search.
+            // Each frame of the stack holds a node and its applicable actions, which are applied one at a time. A state is skipped if it was already searched with the same or lower g. If isLinear is true, only the states on the current path, and those already tried from a state on the path, are remembered, so memory grows with the depth rather than with the number of states.
+            // Returns { solutions, next }, where next is the lowest f that was beyond the bound (Infinity if there was none), to use as the bound of the next iteration.
+            var root = { state: StripsManager.indexState(domain, state), g: 0, depth: 0 };
+            var visited = Object.create(null);
+            var stack = [];
+            var solutions = [];
+            var next = Infinity;
+
+            function push(node, visited) {
+                // Add a node to the stack if its f is within the bound.
+                var f = node.g + (cost ? cost(node.state, domain, goalState) : 0);
+
+                if (f > bound) {
+                    next = Math.min(next, f);
+                }
+                else {
+                    // With isLinear, each branch has its own visited states, which inherit from its parent's, and only hold the states that it adds.
+                    stack.push({ node: node, visited: isLinear ? Object.create(visited) : visited });
+                }
+            }
+
+            visited[StripsManager.stateHash(root.state)] = 0;
+            push(root, visited);
+
+            while (stack.length > 0) {
+                var frame = stack[stack.length - 1];
+                var node = frame.node;
+
+                if (!frame.actions) {
+                    // Check for goal.
+                    if (StripsManager.isGoal(node.state, goalState, domain)) {
+                        // Compile solution path.
+                        var path = [];
+                        var steps = node.depth;
+                        var totalCost = StripsManager.pathCost(domain, node);
+
+                        while (node != null && node.parent != null) {
+                            // Since we move from goal backwards, add this step to the front of the array (rather than the end, otherwise it would be in reverse order).
+                            path.unshift(StripsManager.actionToString(node.action, domain));
+                            node = node.parent;
+                        }
+
+                        solutions.push({ steps: steps, cost: totalCost, path: path });
+
+                        if (solutions.length >= maxSolutions) {
+                            break;
+                        }
+
+                        stack.pop();
+                        continue;
+                    }
+
+                    frame.actions = StripsManager.applicableActions(domain, node.state);
+                    frame.index = 0;
+
+                    if (StripsManager.verbose) {
+                        StripsManager.output('Depth: ' + node.depth + ', ' + frame.actions.length + ' child states.');
                     }
                 }
 
-                if (type)
-                    break;
+                if (frame.index >= frame.actions.length) {
+                    // All child states have been tried, so backtrack.
+                    stack.pop();
+                    continue;
+                }
+
+                // Try the next child state.
+                var action = frame.actions[frame.index++];
+                var child = { state: StripsManager.applyAction(action, node.state, domain), action: action, parent: node, depth: node.depth + 1 };
+                var key = StripsManager.stateHash(child.state);
+
+                child.g = cost ? node.g + StripsManager.actionCost(node.state, child.state, domain.metric) : child.depth;
+
+                if (frame.visited[key] == null || frame.visited[key] > child.g) {
+                    frame.visited[key] = child.g;
+                    push(child, frame.visited);
+                }
             }
 
-            problem.values[type] = problem.values[type] || [];
-            problem.values[type].push(key);
-        }
+            return { solutions: solutions, next: next };
+        },
 
-        if (callback) {
-            callback(problem);
-        }
-    },
+        solveDfs: function(domain, state, goalState, maxSolutions, maxDepth) {
+            // Find all solutions using depth-first-search, up to maxDepth steps long, if provided. Every state that is searched is remembered, and is only searched again if it is reached in fewer steps.
+            return StripsManager.searchDepthFirst(domain, state, goalState, maxSolutions || 1, maxDepth == null ? Infinity : maxDepth).solutions;
+        },
 
-    load: function(domainPath, problemPath, callback, isCode) {
-        // Load the domain and actions. If isCode is true, domainPath and problemPath are strings of PDDL code, otherwise they are filePaths.
-        StripsManager.loadDomain(domainPath, function(domain) {
-            // Load the problem.
-            StripsManager.loadProblem(problemPath, function(problem) {
-                // Give a copy of the possible parameter values to the domain.
-                domain.values = problem.values;
+        solveIddfs: function(domain, state, goalState, maxSolutions, maxDepth) {
+            // Find the shortest solutions using iterative deepening: a depth-first-search that is limited to 0 steps, then to 1 step, and so on, up to maxDepth steps, if provided. This finds the same solutions as breadth-first-search, but only keeps the current path in memory.
+            var depth = 0;
 
-                if (domain.requirements.indexOf('typing') != -1 && domain.values.null) {
-                    StripsManager.output('ERROR: :typing is specified in domain, but not all parameters declare a type. Verify problem file contains an :objects section.');
+            maxDepth = maxDepth == null ? Infinity : maxDepth;
+
+            while (depth <= maxDepth) {
+                if (StripsManager.verbose) {
+                    StripsManager.output('Depth limit: ' + depth + '.');
                 }
 
-                // Load list of applicable combinations of parameter values for each action.
-                for (var i in domain.actions) {
-                    // Get all applicable parameter combinations for the current action.
-                    domain.actions[i].parameterCombinations = StripsManager.parameterCombinations(domain, domain.actions[i]);
+                var result = StripsManager.searchDepthFirst(domain, state, goalState, maxSolutions || 1, depth, null, true);
+
+                if (result.solutions.length > 0 || result.next == Infinity) {
+                    // Found solutions, or searched every state without reaching the limit.
+                    return result.solutions;
+                }
+
+                depth = result.next;
+            }
+
+            return [];
+        },
+
+        solveIdas: function(domain, state, goalState, cost, maxSolutions) {
+            // Find solutions using IDA* search, where cost is the heuristic function (h = cost(state, domain, goalState)), such as StripsManager.heuristics.hMax. A depth-first-search visits the states with g + h within a limit, which starts at h of the initial state, and is raised to the lowest g + h beyond it, until a solution is found. As with A* search, the first solution is optimal if the heuristic never overestimates the cost of reaching the goal, but only the current path is kept in memory.
+            var bound = cost(StripsManager.indexState(domain, state), domain, goalState);
+
+            while (bound != Infinity) {
+                if (StripsManager.verbose) {
+                    StripsManager.output('Cost limit: ' + bound + '.');
                 }
 
-                if (callback) {
-                    callback(domain, problem);
+                var result = StripsManager.searchDepthFirst(domain, state, goalState, maxSolutions || 1, bound, cost, true);
+
+                if (result.solutions.length > 0) {
+                    return result.solutions;
                 }
-            }, isCode);
-        }, isCode);
-    },
 
-    predicateCombinations: function(state) {
-        // For "Blocks World" problems, combinatorics.permutationCombination(state) is sufficient and faster, but otherwise, baseN(state) gives the full range of possible parameter values.
-        // First, convert the values object { block: [ 'a', 'b'], table: ['x', 'y'] } into a flat array [ 'a', 'b', 'x', 'y' ].
-        var values = [];
-        for (var key in state) {
-            for (var i in state[key]) {
-                values.push(state[key][i]);
+                bound = result.next;
             }
-        }
 
-        var cmb = StripsManager.fast ? combinatorics.permutationCombination(values) : combinatorics.baseN(values);
+            return [];
+        },
+
+        solveBfs: function(domain, state, goalState, maxSolutions) {
+            // Find all solutions using breadth-first-search.
+            var fringe = [ { state: StripsManager.indexState(domain, state), depth: 0 } ]; // Start with the initial state on the fringe.
+            var visited = {};
+            var depth = 0;
+            var solutions = [];
+
+            while (fringe.length > 0) {
+                // Investigate the next state with the lowest depth.
+                var current = fringe[0];
+
+                // Remove this state from the fringe.
+                fringe.shift();
+
+                // Mark this state as visited.
+                visited[StripsManager.stateHash(current.state)] = 1;
+
+                // Check for goal.
+                if (StripsManager.isGoal(current.state, goalState, domain)) {
+                    // Compile solution path.
+                    var path = [];
+                    var steps = current.depth;
+                    var totalCost = StripsManager.pathCost(domain, current);
+
+                    while (current != null && current.parent != null) {
+                        // Since we move from goal backwards, add this step to the front of the array (rather than the end, otherwise it would be in reverse order).
+                        path.unshift(StripsManager.actionToString(current.action, domain));
+                        current = current.parent;
+                    }
 
-        return cmb.toArray();
-    },
+                    solutions.push({ steps: steps, cost: totalCost, path: path });
+
+                    if (solutions.length >= maxSolutions) {
+                        return solutions;
+                    }
+                }
+                else {
+                    // Get child states by applying actions to current state.
+                    var children = StripsManager.getChildStates(domain, current.state);
+
+                    // Add the children to the fringe.
+                    for (var i in children) {
+                        var child = children[i];
+                        child.parent = current;
+                        child.depth = current.depth + 1;
+
+                        if (!visited[StripsManager.stateHash(child.state)]) {
+                            fringe.push(child);
+                        }
+                    }
+                }
+
+                if (StripsManager.verbose) {
+                    StripsManager.output('Depth: ' + current.depth + ', ' + fringe.length + ' child states.');
+                }
+            }
+
+            return solutions;
+        },
     
-    parameterCombinations: function(domain, action) {
-        // Go through each required parameter, look at the type (if using :typing), and use all combinations of values belonging to that type.
-        var cases = [];
-        var parameters = action.parameters;
-
-        // Is :typing enabled on the domain?
-        if (domain.requirements.indexOf('typing') > -1) {
-            // First, get a count of how many parameters we need of each type.
-            var error = false;
-            var typeCounts = {};
-            for (var j in parameters) {
-                if (!parameters[j].type) {
-                    StripsManager.output('ERROR: :typing is specified, but no type found in action "' + action.action + '" for parameter "' + parameters[j].parameter + '"');
-                    error = true;
-                    break;
+        solveAs: function(domain, state, goalState, cost, maxSolutions, weight) {
+            // Find solutions using A* search, where cost is the heuristic function (h = cost(state, domain, goalState)), such as one of StripsManager.heuristics. Starting with the initial state, we find all children by applying applicable actions on the current state, calculate the child state costs, and select the next cheapest state to visit.
+            // The cost of each action (g) is taken from the problem's metric, such as (:metric minimize (total-cost)), so the solution has the lowest total cost, rather than the fewest steps. If the heuristic never overestimates the cost of reaching the goal (it is admissible), the first solution is optimal.
+            // The fringe is a priority queue ordered by f = g + weight * h, with ties broken by StripsManager.tieBreaking. A state that is reached again with a lower g is updated on the fringe, or re-opened if it has already been visited. Up to maxSolutions solutions are returned, each for a different goal state, in order of cost.
+            // A weight above 1 (weighted A*) finds a solution faster, costing at most weight times the optimal cost if the heuristic is admissible, such as hMax. A weight of Infinity orders the fringe by h alone (greedy best-first search), and states are never re-opened.
+            var tieBreaking = StripsManager.tieBreaking;
+            var order = 0;
+            var fringe = new BinaryHeap(function(a, b) {
+                if (a.f != b.f) {
+                    return a.f - b.f;
                 }
 
-                typeCounts[parameters[j].type] = (typeCounts[parameters[j].type] + 1) || 1;
+                if (tieBreaking == 'h' && a.h != b.h) {
+                    return a.h - b.h;
+                }
+
+                return tieBreaking == 'lifo' ? b.order - a.order : a.order - b.order;
+            });
+            var nodes = {}; // The node with the lowest g for each state that has been found, by stateHash().
+            var closed = {};
+            var solutions = [];
+
+            var isGreedy = weight == Infinity;
+
+            function priority(node) {
+                // The f cost of a node.
+                return isGreedy ? node.h : node.g + weight * node.h;
             }
 
-            if (!error) {
-                // Next, get the combination values.
-                for (var key in typeCounts) {
-                    // Get all combination values for this parameter type.
-                    var values = domain.values[key];
-                    if (values) {
-                        var cmb = combinatorics.baseN(values, 1);
+            maxSolutions = maxSolutions || 1;
+            weight = weight == null ? 1 : weight;
+            state = StripsManager.indexState(domain, state);
+
+            var start = { state: state, h: cost(state, domain, goalState), g: 0, depth: 0, order: order++ };
+            start.f = priority(start);
+            nodes[StripsManager.stateHash(state)] = start;
+            fringe.push(start); // Start with the initial state on the fringe.
+
+            while (fringe.size() > 0) {
+                // Investigate the next state with the lowest cost, and remove it from the fringe.
+                var current = fringe.pop();
+                var key = StripsManager.stateHash(current.state);
+
+                // Mark this state as visited.
+                closed[key] = 1;
+
+                // Check for goal.
+                if (StripsManager.isGoal(current.state, goalState, domain)) {
+                    // Compile solution path.
+                    var path = [];
+                    var steps = current.depth;
+                    var totalCost = current.g;
+                    var node = current;
+
+                    while (node != null && node.parent != null) {
+                        // Since we move from goal backwards, add this step to the front of the array (rather than the end, otherwise it would be in reverse order).
+                        path.unshift(StripsManager.actionToString(node.action, domain));
+                        node = node.parent;
+                    }
+
+                    solutions.push({ steps: steps, cost: totalCost, path: path });
 
-                        cmb.forEach(function(combo) {
-                            cases.push(combo);
-                        });
+                    if (solutions.length >= maxSolutions) {
+                        return solutions;
+                    }
+                }
+                else {
+                    // Get child states by applying actions to current state.
+                    var children = StripsManager.getChildStates(domain, current.state);
+
+                    // Add the children to the fringe.
+                    for (var i in children) {
+                        var child = children[i];
+                        var childKey = StripsManager.stateHash(child.state);
+                        var g = current.g + StripsManager.actionCost(current.state, child.state, domain.metric);
+                        var existing = nodes[childKey];
+
+                        if (existing && (isGreedy || existing.g <= g)) {
+                            // This state has already been found with a path that costs the same or less. Greedy search keeps the first path that it finds.
+                            continue;
+                        }
+
+                        child.parent = current;
+                        child.g = g;
+                        child.depth = current.depth + 1;
+                        child.order = order++;
+
+                        if (existing && !closed[childKey]) {
+                            // The state is on the fringe, so update it with the cheaper path.
+                            existing.parent = child.parent;
+                            existing.action = child.action;
+                            existing.g = child.g;
+                            existing.depth = child.depth;
+                            existing.order = child.order;
+                            existing.f = priority(existing);
+                            fringe.update(existing);
+                        }
+                        else {
+                            // A new state, or a visited state that is re-opened with the cheaper path.
+                            child.h = existing ? existing.h : cost(child.state, domain, goalState);
+                            child.f = priority(child);
+                            nodes[childKey] = child;
+
+                            if (child.h == Infinity) {
+                                // The goal can not be reached from this state.
+                                closed[childKey] = 1;
+                                continue;
+                            }
+
+                            delete closed[childKey];
+                            fringe.push(child);
+                        }
+                    }
+                }
+
+                if (StripsManager.verbose) {
+                    StripsManager.output('Depth: ' + current.depth + ', Current cost: ' + current.f + ', ' + fringe.size() + ' child states.');
+                }
+            }
+
+            return solutions;
+        },
+
+        solveEhc: function(domain, state, goalState, cost) {
+            // Find a solution using enforced hill-climbing, as in the FF planner, where cost is the heuristic function (h = cost(state, domain, goalState)), such as StripsManager.heuristics.hFF. From the current state, a breadth-first search that only applies helpful actions (see helpfulActions()) looks for a state with a lower h, which becomes the current state, until the goal is reached.
+            // This is fast, but it may reach a dead end, where no state with a lower h can be found. Greedy best-first search is then run from the initial state. Returns an array with one solution.
+            var current = { state: StripsManager.indexState(domain, state), g: 0, depth: 0 };
+
+            current.h = cost(current.state, domain, goalState);
+
+            while (!StripsManager.isGoal(current.state, goalState, domain)) {
+                // Search breadth-first for a better state.
+                var fringe = [ current ];
+                var visited = {};
+                var better = null;
+
+                visited[StripsManager.stateHash(current.state)] = 1;
+
+                while (fringe.length > 0 && !better) {
+                    var node = fringe.shift();
+                    var actions = StripsManager.helpfulActions(domain, node.state, goalState);
+
+                    for (var i in actions) {
+                        var child = { state: StripsManager.applyAction(actions[i], node.state, domain), action: actions[i], parent: node, depth: node.depth + 1 };
+                        var key = StripsManager.stateHash(child.state);
+
+                        if (visited[key]) {
+                            continue;
+                        }
+
+                        visited[key] = 1;
+                        child.g = node.g + StripsManager.actionCost(node.state, child.state, domain.metric);
+                        child.h = cost(child.state, domain, goalState);
+
+                        if (child.h < current.h || StripsManager.isGoal(child.state, goalState, domain)) {
+                            better = child;
+                            break;
+                        }
+
+                        if (child.h != Infinity) {
+                            fringe.push(child);
+                        }
+                    }
+                }
+
+                if (!better) {
+                    if (StripsManager.verbose) {
+                        StripsManager.output('Enforced hill-climbing failed at depth ' + current.depth + ', using greedy best-first search.');
                     }
+
+                    return StripsManager.solveAs(domain, state, goalState, cost, 1, Infinity);
+                }
+
+                current = better;
+
+                if (StripsManager.verbose) {
+                    StripsManager.output('Depth: ' + current.depth + ', Current cost: ' + current.h + '.');
+                }
+            }
+
+            // Compile solution path.
+            var path = [];
+            var steps = current.depth;
+            var totalCost = current.g;
+
+            while (current != null && current.parent != null) {
+                // Since we move from goal backwards, add this step to the front of the array (rather than the end, otherwise it would be in reverse order).
+                path.unshift(StripsManager.actionToString(current.action, domain));
+                current = current.parent;
+            }
+
+            return [ { steps: steps, cost: totalCost, path: path } ];
+        },
+
+        regressionProblem: function(domain) {
+            // Returns the ground actions of the domain that regression search can use, as { actions: [ { action, pre, neg, add, del } ], deleted }, where pre and neg are the atoms of each action's positive and negative precondition, and add and del the atoms of its effects. deleted marks the atoms that any of the actions delete.
+            // Actions with other conditions, such as (or ...) or numeric comparisons, or with conditional effects, can not be regressed, and are left out. Numeric effects are ignored, since they only change the cost of a plan. The result is kept with the domain's FactStore.
+            var store = domain.store || StripsManager.indexDomain(domain);
+
+            if (store.regression) {
+                return store.regression;
+            }
+
+            var regression = { actions: [], deleted: {} };
+
+            for (var i = 0; i < store.actions.length; i++) {
+                var ground = store.actions[i];
+                var effects = ground.action.effect;
+
+                if (ground.conditions.length || effects.some(function(effect) { return effect.operation == 'when'; })) {
+                    continue;
                 }
+
+                var action = { action: ground.action, pre: ground.pre, neg: ground.neg, add: [], del: [] };
+
+                StripsManager.effectLiterals(effects).forEach(function(literal) {
+                    var id = store.id(literal, true);
+                    var isAdd = (literal.operation || 'and') == 'and';
+
+                    action[isAdd ? 'add' : 'del'].push(id);
+
+                    if (!isAdd) {
+                        regression.deleted[id] = 1;
+                    }
+                });
+
+                regression.actions.push(action);
+            }
+
+            store.regression = regression;
+
+            return regression;
+        },
+
+        reachable: function(domain, state) {
+            // Returns the atoms, and pairs of atoms, that may hold together in a state reached from the state, as { atoms, pairs }, where atoms[p] is 1 if atom p may hold, and pairs[p * atomCount + q] is 1 if atoms p and q may hold together. This over-estimates the states that can be reached, so two atoms that may not hold together (a mutex), such as a block that is on two blocks, never do. The result is kept with the domain's FactStore, for the last state.
+            var store = domain.store || StripsManager.indexDomain(domain);
+
+            state = StripsManager.indexState(domain, state);
+
+            if (store.reachable && store.reachable.hash == StripsManager.stateHash(state)) {
+                return store.reachable;
             }
 
-            // Get a combination of all possibilities of the discovered parameters.
-            var cmb = StripsManager.fast ? combinatorics.permutation(cases, parameters.length) : combinatorics.baseN(cases, parameters.length);
+            // Conditional effects are assumed to add their literals, and not to delete any, so the result is never too small.
+            var actions = store.actions.map(function(ground) {
+                var atoms = ground.action.atoms || { add: StripsManager.effectLiterals(ground.action.effect).filter(function(literal) { return (literal.operation || 'and') == 'and'; }).map(function(literal) { return store.id(literal, true); }), del: [] };
+
+                return { pre: ground.pre, add: atoms.add, del: atoms.del };
+            });
+
+            store.reachable = reachablePairs(actions, store.atoms.length, state.facts);
+            store.reachable.hash = StripsManager.stateHash(state);
+            store.reachable.atomCount = store.atoms.length;
 
-            // Filter the combinations to valid parameter types and unique combos.
-            var uniqueCombos = {};
-            cases = cmb.filter(function (combo) {
-                // Does this combo have valid values for the type? Make sure each value to be set for a parameter index exists in the list of types under the domain.
-                var key = '';
+            return store.reachable;
+        },
 
-                for (var ci in combo) {
-                    var value = combo[ci][0];
-                    var type = parameters[ci].type;
-                    key += value;
+        regressionGoal: function(domain, goalState) {
+            // Returns the goal as a set of atoms for regression search, { pos, neg }, with the atoms that must hold and those that must not. Returns null if the goal has conditions other than literals, such as (or ...) or numeric comparisons.
+            var store = domain.store || StripsManager.indexDomain(domain);
+            var goal = { pos: [], neg: [] };
 
-                    // Check if this value exists in the list for this type.
-                    if (!domain.values[type] || (domain.values[type] && domain.values[type].indexOf(value) == -1)) {
-                        // The value is not part of this type, that means this combo is invalid.
+            function addGoals(conditions) {
+                for (var i in conditions) {
+                    var condition = conditions[i];
+
+                    if (condition.children) {
+                        if (condition.operation != 'and' || !addGoals(condition.children)) {
+                            return false;
+                        }
+                    }
+                    else if (condition.action == '=' || StripsManager.isComparison(condition)) {
                         return false;
                     }
+                    else {
+                        var list = goal[(condition.operation || 'and') == 'and' ? 'pos' : 'neg'];
+                        var id = store.id(condition, true);
+
+                        if (list.indexOf(id) == -1) {
+                            list.push(id);
+                        }
+                    }
                 }
 
-                if (uniqueCombos[key]) {
-                    // Duplicate combo. Since we only take the first value in any lists as 1 value per parameter, we can end up with duplicates.
-                    return false;
+                return true;
+            }
+
+            if (!addGoals(goalState.actions)) {
+                return null;
+            }
+
+            goal.pos.sort(function(a, b) { return a - b; });
+            goal.neg.sort(function(a, b) { return a - b; });
+
+            return goal;
+        },
+
+        regressGoal: function(domain, goal, action, state) {
+            // Returns the goal { pos, neg } that must hold before an action of regressionProblem() is applied, so that goal holds after it, or null if the action can not be used. The action must achieve part of the goal (add an atom of pos, or delete an atom of neg), without deleting an atom of pos or adding an atom of neg.
+            // The regressed goal is the rest of the goal, plus the action's precondition. It is null if it requires an atom to hold and not to hold. If an initial state is given, it is also null if it can not be reached from the state: if it requires two atoms that can not hold together (see reachable()), or the absence of an atom that holds in the state and that no action deletes.
+            var regression = StripsManager.regressionProblem(domain);
+
+            function isIn(list) {
+                return function(id) { return list.indexOf(id) != -1; };
+            }
+
+            if (!action.add.some(isIn(goal.pos)) && !action.del.some(isIn(goal.neg))) {
+                // The action does not achieve any of the goal.
+                return null;
+            }
+
+            if (action.del.some(isIn(goal.pos)) || action.add.some(isIn(goal.neg))) {
+                // The action undoes part of the goal.
+                return null;
+            }
+
+            var pos = goal.pos.filter(function(id) { return action.add.indexOf(id) == -1; });
+            var neg = goal.neg.filter(function(id) { return action.del.indexOf(id) == -1; });
+
+            action.pre.forEach(function(id) {
+                if (pos.indexOf(id) == -1) {
+                    pos.push(id);
+                }
+            });
+
+            action.neg.forEach(function(id) {
+                if (neg.indexOf(id) == -1) {
+                    neg.push(id);
+                }
+            });
+
+            if (pos.some(isIn(neg))) {
+                return null;
+            }
+
+            if (state) {
+                var reachable = StripsManager.reachable(domain, state);
+                var atomCount = reachable.atomCount;
+
+                var isPair = function(p, q) {
+                    // Atoms that were numbered after reachable() was found, such as those of the goal, are never reached.
+                    return p < atomCount && q < atomCount && reachable.pairs[p * atomCount + q];
+                };
+
+                if (pos.some(function(p) { return pos.some(function(q) { return !isPair(p, q); }); }) ||
+                    neg.some(function(id) { return hasFact(state.facts, id) && !regression.deleted[id]; })) {
+                    // The goal can never hold, when starting from the state.
+                    return null;
                 }
+            }
 
-                uniqueCombos[key] = 1;
+            pos.sort(function(a, b) { return a - b; });
+            neg.sort(function(a, b) { return a - b; });
+
+            return { pos: pos, neg: neg };
+        },
+
+        regressionPlan: function(domain, state, goalState, path, node) {
+            // Returns a solution { steps, cost, path } for a list of actions that reach a goal of regression search (node), followed by the actions that regression search applied to reach that goal. The plan is applied to the state, to find its cost. Returns null if the plan does not reach the goal.
+            var actions = path.slice();
+            var steps = [];
+            var totalCost = 0;
+
+            while (node != null && node.parent != null) {
+                // Regression search moves from the goal backwards, so the last regressed action is applied first.
+                actions.push(node.action);
+                node = node.parent;
+            }
 
-                return true;
-            });
+            state = StripsManager.indexState(domain, state);
 
-            var cases2 = [];
-            for (var j in cases) {
-                var subCase = [];
-                for (var k in cases[j]) {
-                    subCase.push(cases[j][k][0]);
+            for (var i in actions) {
+                if (!StripsManager.isPreconditionSatisfied(state, actions[i].precondition, domain)) {
+                    return null;
                 }
 
-                cases2.push(subCase);
+                var childState = StripsManager.applyAction(actions[i], state, domain);
+                totalCost += StripsManager.actionCost(state, childState, domain.metric);
+                steps.push(StripsManager.actionToString(actions[i], domain));
+                state = childState;
             }
 
-            cases = cases2;
-        }
-        else {
-            // Typing not being used, just get all action combinations for the current state.
-            cases = StripsManager.predicateCombinations(domain.values);
-        }
+            return StripsManager.isGoal(state, goalState, domain) ? { steps: steps.length, cost: totalCost, path: steps } : null;
+        },
 
-        return cases;
-    },
+        solveRegression: function(domain, state, goalState, maxSolutions) {
+            // Find solutions using regression search, a breadth-first-search backwards from the goal. Each node is a goal, which is regressed through each action that achieves part of it (see regressGoal()), until the initial state satisfies it. This searches far fewer states than forward search, in domains where many actions are applicable but few are relevant to the goal.
+            // Only actions of regressionProblem() are used, and the goal must be a list of literals.
+            var regression = StripsManager.regressionProblem(domain);
+            var goal = StripsManager.regressionGoal(domain, goalState);
+            var solutions = [];
 
-    andCount: function(precondition) {
-        // Returns the count for the number of 'and' matches in a precondition.
-        var count = 0;
-        
-        for (var i in precondition) {
-            var action = precondition[i];
-            var operation = action.operation || 'and'; // If no operation is specified, default to 'and'. Must explicitly provide 'not' where required.
-            
-            if (operation == 'and') {
-                count++;
+            if (!goal) {
+                StripsManager.output('ERROR: Regression search requires a goal that is a list of literals.');
+                return [];
             }
-        }
-        
-        return count;
-    },
-    
-    isEqual: function(action1, action2) {
-        // Returns true if action1 == action2. Compares name and parameters.
-        var result = false;
 
-        // Find matching action name.
-        if (action1.action == action2.action && action1.parameters.length == action2.parameters.length) {
-            result = true;
+            if (domain.derived && domain.derived.length) {
+                StripsManager.output('ERROR: Regression search does not support derived predicates.');
+                return [];
+            }
 
-            // Find matching parameters.
-            for (var k in action1.parameters) {
-                // Use the map, if available (in the case of a non-concrete action). Otherwise, use the concrete parameter values.
-                var value1 = action1.parameters[k].parameter ? action1.parameters[k].parameter : action1.parameters[k];
-                var value2 = action2.parameters[k].parameter ? action2.parameters[k].parameter : action2.parameters[k];
+            state = StripsManager.indexState(domain, state);
 
-                var parameter1 = action1.map ? action1.map[value1] : value1;
-                var parameter2 = action2.map ? action2.map[value2] : value2;
+            var fringe = [ { goal: goal, depth: 0 } ]; // Start with the goal on the fringe.
+            var visited = {};
 
-                if (parameter1 != parameter2) {
-                    result = false;
-                    break;
-                }
-            }
-        }
-        
-        return result;
-    },
+            visited[goal.pos.join(',') + '|' + goal.neg.join(',')] = 1;
 
-    isPreconditionSatisfied: function(state, precondition) {
-        // Returns true if the precondition is satisfied in the current state.
-        // This function works by making sure all 'and' preconditions exist in the state, and that all 'not' preconditions do not exist in the state.
-        var matchCount = 0;
-        var andCount = StripsManager.andCount(precondition); // The state needs to contain the actions in action.precondition for 'and'. For 'not', we fail immediately. So, let's count the number of 'and' matches and make sure we satisfy them.
+            while (fringe.length > 0) {
+                // Investigate the next goal with the lowest depth, and remove it from the fringe.
+                var current = fringe.shift();
 
-        for (var i = 0; i < precondition.length; i++) {
-            // Find a case that contains this action and parameters.
-            for (var l in state.actions) {
-                var match = true;
-                operation = precondition[i].operation || 'and'; // If no operation is specified, default to 'and'. Must explicitly provide 'not' where required.
+                // Check if the initial state satisfies the goal.
+                if (hasFacts(state.facts, current.goal.pos, true) && hasFacts(state.facts, current.goal.neg, false)) {
+                    var solution = StripsManager.regressionPlan(domain, state, goalState, [], current);
 
-                // Check if the name and number of parameters match for the current action and precondition.
-                if (state.actions[l].action == precondition[i].action && state.actions[l].parameters.length == precondition[i].parameters.length) {
-                    // Check if the parameter values match.
-                    for (var m in precondition[i].parameters) {
-                        if (precondition[i].parameters[m] != state.actions[l].parameters[m]) {
-                            match = false;
+                    if (solution) {
+                        solutions.push(solution);
+
+                        if (solutions.length >= maxSolutions) {
+                            return solutions;
                         }
                     }
                 }
                 else {
-                    match = false;
-                }
+                    // Regress the goal through each action that achieves part of it.
+                    for (var i in regression.actions) {
+                        var childGoal = StripsManager.regressGoal(domain, current.goal, regression.actions[i], state);
 
-                if (match) {
-                    // This action exists in the state.                    
-                    if (operation == 'and') {
-                        matchCount++;
-                    }
-                    else {
-                        // Not, set to -1 so this action is not saved as applicable.
-                        matchCount = -1;
-                        break;
+                        if (childGoal) {
+                            var key = childGoal.pos.join(',') + '|' + childGoal.neg.join(',');
+
+                            if (!visited[key]) {
+                                visited[key] = 1;
+                                fringe.push({ goal: childGoal, action: regression.actions[i].action, parent: current, depth: current.depth + 1 });
+                            }
+                        }
                     }
                 }
-            }
-            
-            if (matchCount == -1)
-                break;
-        }
-        
-        return (matchCount == andCount);
-    },
 
-    getApplicableActionInState: function(state, action) {
-        // This function returns an applicable concrete action for the given state, or null if the precondition is not satisfied.
-        var resolvedAction = null;
-
-        // Does the filled-in precondition exist in the state test cases?
-        if (StripsManager.isPreconditionSatisfied(state, action.precondition)) {
-            // This action is applicable.
-            // Assign a value to each parameter of the effect.
-            var populatedEffect = JSON.parse(JSON.stringify(action.effect));
-            for (var m in action.effect) {
-                var effect = action.effect[m];
-
-                for (var n in effect.parameters) {
-                    var parameter = effect.parameters[n];
-                    var value = action.map[parameter];
-                    
-                    if (value) {
-                        // Assign this value to all instances of this parameter in the effect.
-                        populatedEffect[m].parameters[n] = value;
-                    }
-                    else {
-                        StripsManager.output('* ERROR: Value not found for parameter ' + parameter + '.');
-                    }
+                if (StripsManager.verbose) {
+                    StripsManager.output('Depth: ' + current.depth + ', ' + fringe.length + ' child goals.');
                 }
             }
-            
-            resolvedAction = JSON.parse(JSON.stringify(action));
-            resolvedAction.effect = populatedEffect;
-            resolvedAction.map = action.map;
-        }
-        
-        return resolvedAction;
-    },
-    
-    applicableActionsPlus: function(domain, state) {
-        // Returns an array of applicable concrete actions for the current state, including support for negative literals. This method runs StripsManager.applicableActions() two times - one with all positive literals (negative literals removed, which effectively renders all positive literal cases), and one with all positive literals with none that had matching negative literals (which effectively renders all negative literal cases). The result includes a list of unique actions.
-        var result = [];
-        var actionHash = {};
 
-        // Remove negative literals.
-        var stateNoNegatives = JSON.parse(JSON.stringify(state));
-        stateNoNegatives.actions = [];
-        for (var i in state.actions) {
-            var action = state.actions[i];
+            return solutions;
+        },
 
-            if (action.operation != 'not') {
-                // Not a negative literal, so keep it.
-                stateNoNegatives.actions.push(action);
-            }
-        }
+        solveBidirectional: function(domain, state, goalState) {
+            // Find a solution using bidirectional search, which runs a breadth-first-search forward from the initial state and a regression search backward from the goal (see solveRegression()), one level at a time, expanding the smaller fringe. The searches meet when a state of the forward search satisfies a goal of the regression search. Returns an array with one solution.
+            var regression = StripsManager.regressionProblem(domain);
+            var goal = StripsManager.regressionGoal(domain, goalState);
 
-        // Get applicable actions.
-        var actions = StripsManager.applicableActions(domain, stateNoNegatives);
+            if (!goal) {
+                StripsManager.output('ERROR: Bidirectional search requires a goal that is a list of literals.');
+                return [];
+            }
 
-        // Mark each action as discovered.
-        for (var i in actions) {
-            var action = actions[i];
+            if (domain.derived && domain.derived.length) {
+                StripsManager.output('ERROR: Bidirectional search does not support derived predicates.');
+                return [];
+            }
 
-            result.push(action);
-            actionHash[JSON.stringify(action)] = 1;
-        }
+            state = StripsManager.indexState(domain, state);
 
-        // Remove matching positive and negative literals, effectively rendering the negative literal.
-        var literalsToRemove = {};
-        var stateNoPositiveNegatives = JSON.parse(JSON.stringify(state));
-        stateNoPositiveNegatives.actions = [];
+            var start = { state: state, depth: 0 };
+            var end = { goal: goal, depth: 0 };
+            var forward = { fringe: [ start ], nodes: [ start ], visited: {} };
+            var backward = { fringe: [ end ], nodes: [ end ], visited: {} };
 
-        // First, collect negative literals.
-        for (var i in state.actions) {
-            var action = state.actions[i];
-            action.operation = action.operation || 'and';
+            function meet(node, goalNode) {
+                // Returns the solution through a forward node and a regression node, if the node's state satisfies the goal.
+                if (!hasFacts(node.state.facts, goalNode.goal.pos, true) || !hasFacts(node.state.facts, goalNode.goal.neg, false)) {
+                    return null;
+                }
 
-            if (action.operation == 'not') {
-                // Make a copy of the positive version of this literal.
-                var copyAction = JSON.parse(JSON.stringify(action));
-                copyAction.operation = 'and';
+                var path = [];
+                while (node != null && node.parent != null) {
+                    path.unshift(node.action);
+                    node = node.parent;
+                }
 
-                // Mark the positive version of this literal to be removed (if we come across it).
-                literalsToRemove[JSON.stringify(copyAction)] = 1;
+                return StripsManager.regressionPlan(domain, state, goalState, path, goalNode);
             }
-        }
 
-        // Now that we've marked negative literals, go through all literals and only keep those which are positive and not included in the literalsToRemove.
-        for (var i in state.actions) {
-            var action = state.actions[i];
-            action.operation = action.operation || 'and';
+            forward.visited[StripsManager.stateHash(state)] = 1;
+            backward.visited[goal.pos.join(',') + '|' + goal.neg.join(',')] = 1;
 
-            // If this is a positive literal and not in our literalsToRemove list, then include it.
-            if (action.operation != 'not' && !literalsToRemove[JSON.stringify(action)]) {
-                // Safe to keep this literal.
-                stateNoPositiveNegatives.actions.push(action);
-            }
-        }
+            var solution = meet(start, end);
 
-        // Get applicable actions when allowing for negative literals.
-        actions = StripsManager.applicableActions(domain, stateNoPositiveNegatives);
+            while (!solution && forward.fringe.length > 0 && backward.fringe.length > 0) {
+                var isForward = forward.fringe.length <= backward.fringe.length;
+                var fringe = [];
 
-        // Concat new actions.
-        for (var i in actions) {
-            var action = actions[i];
+                // Expand every node of the smaller fringe, to search one level deeper in that direction.
+                for (var i = 0; i < (isForward ? forward : backward).fringe.length && !solution; i++) {
+                    var current = (isForward ? forward : backward).fringe[i];
 
-            if (!actionHash[JSON.stringify(action)]) {
-              result.push(action);
-            }
-        }
+                    if (isForward) {
+                        var children = StripsManager.getChildStates(domain, current.state);
 
-        return result;
-    },
+                        for (var j = 0; j < children.length && !solution; j++) {
+                            var child = children[j];
+                            var key = StripsManager.stateHash(child.state);
 
-    applicableActions: function(domain, state) {
-        // Returns an array of applicable concrete actions for the current state, using the possible parameter values in domain.values array (Example: values = ['a', 'b', 't1', 't2', 't3']).
-        // Test each domain action precondition against the cases. If one holds valid, then that action is applicable in the current state.
-        var result = [];
+                            if (!forward.visited[key]) {
+                                forward.visited[key] = 1;
+                                child.parent = current;
+                                child.depth = current.depth + 1;
+                                fringe.push(child);
+                                forward.nodes.push(child);
 
-        if (!domain.values || domain.values.length == 0) {
-            StripsManager.output('ERROR: No parameter values found in domain.values.');
-            return;
-        }
+                                for (var k = 0; k < backward.nodes.length && !solution; k++) {
+                                    solution = meet(child, backward.nodes[k]);
+                                }
+                            }
+                        }
+                    }
+                    else {
+                        for (var j = 0; j < regression.actions.length && !solution; j++) {
+                            var childGoal = StripsManager.regressGoal(domain, current.goal, regression.actions[j], state);
 
-        for (var i in domain.actions) {
-            var action = domain.actions[i]; // op1
-            var parameters = action.parameters; // x1, x2, x3
-            var populatedAction = JSON.parse(JSON.stringify(action)); // copy for replacing parameters with actual values.
-            var parameterMapHash = {};
+                            if (childGoal) {
+                                var key = childGoal.pos.join(',') + '|' + childGoal.neg.join(',');
 
-            // Assign values to the parameters for each test case.
-            for (var j in action.parameterCombinations) {
-                var testCase = action.parameterCombinations[j];
-                var nindex = 0;
-                
-                var parameterMap = []; // map of parameter values to be populated
-                // Initialize default parameter values for this action. We'll set concrete values next.
-                for (var j in parameters) {
-                    parameterMap[parameters[j].parameter] = testCase[nindex++];
-                }
-
-                // Get the action's precondition parameters.
-                var testCaseIndex = 0;
-                for (var k in action.precondition) {
-                    var precondition = action.precondition[k];
-                    var populatedPreconditionPart = JSON.parse(JSON.stringify(precondition)); // copy for replacing parameters with actual values.
-                    
-                    // Found a matching action. So far, so good.
-                    var parameterIndex = 0;
-                    
-                    // Assign a value to each parameter of the precondition.
-                    for (var l in precondition.parameters) {
-                        var parameter = precondition.parameters[l];
-                        var value = parameterMap[parameter];
+                                if (!backward.visited[key]) {
+                                    var child = { goal: childGoal, action: regression.actions[j].action, parent: current, depth: current.depth + 1 };
 
-                        // Assign this value to all instances of this parameter in the precondition.
-                        populatedPreconditionPart.parameters[l] = value;
-                    }
-                    
-                    populatedAction.precondition[k] = populatedPreconditionPart;
-                    populatedAction.map = parameterMap;
-                }
+                                    backward.visited[key] = 1;
+                                    fringe.push(child);
+                                    backward.nodes.push(child);
 
-                // Does the filled-in precondition exist in the test cases?
-                var applicableAction = StripsManager.getApplicableActionInState(state, populatedAction);
-                if (applicableAction) {
-                    // This action is applicable in this state. Make sure we haven't already found this one.
-                    var isDuplicate = false;
-                    for (var rr in result) {
-                        var action1 = result[rr];
-                        if (StripsManager.isEqual(applicableAction, action1)) {
-                            isDuplicate = true;
-                            break;
+                                    for (var k = 0; k < forward.nodes.length && !solution; k++) {
+                                        solution = meet(forward.nodes[k], child);
+                                    }
+                                }
+                            }
                         }
                     }
+                }
 
-                    if (!isDuplicate) {
-                        result.push(applicableAction);
-                    }
+                (isForward ? forward : backward).fringe = fringe;
+
+                if (StripsManager.verbose) {
+                    StripsManager.output((isForward ? 'Forward' : 'Backward') + ' depth: ' + (fringe.length ? fringe[0].depth : '-') + ', ' + forward.nodes.length + ' states, ' + backward.nodes.length + ' goals.');
                 }
             }
-        }
 
-        return result;
-    },
+            return solution ? [ solution ] : [];
+        },
 
-    applyAction: function(action, state) {
-        // Applies an action on a state and returns the new state. It is assumed that the precondition has already been tested.
-        var result = JSON.parse(JSON.stringify(state));
+        solveGraphPlan: function(domain, state, goalState, maxLayers) {
+            // Find a parallel plan using GraphPlan. A planning graph (see PlanningGraph) is built from the state one layer at a time, with the literals and actions that may be reached, and those that are mutually exclusive (mutex). Once every goal literal is in the last layer, and no two are mutex, a plan is searched for backward from the goal. If there is none, another layer is added, until a plan is found, or the graph has leveled off and the goals that can not be reached in its last layer (no-goods) no longer change. Up to maxLayers layers are added, if provided.
+            // As with regression search, only actions of regressionProblem() are used, and the goal must be a list of literals. Returns an array with one solution, which includes the number of layers, and the actions that may be applied in parallel in each layer.
+            var regression = StripsManager.regressionProblem(domain);
+            var goal = StripsManager.regressionGoal(domain, goalState);
 
-        for (var i in action.effect) {
-            var actionOperation = action.effect[i];
-            var operation = actionOperation.operation || 'and';
-            
-            if (operation == 'and') {
-                // Make sure this predicate doesn't already exist in the state.
-                var isExists = false;
-                for (var j in state.actions) {
-                    // Find matching action.
-                    if (StripsManager.isEqual(state.actions[j], actionOperation)) {
-                        isExists = true;
-                        break;
-                    }
-                }
+            if (!goal) {
+                StripsManager.output('ERROR: GraphPlan requires a goal that is a list of literals.');
+                return [];
+            }
 
-                if (!isExists) {
-                    // Add this predicate to the state.
-                    result.actions.push(actionOperation);
-                }                
+            if (domain.derived && domain.derived.length) {
+                StripsManager.output('ERROR: GraphPlan does not support derived predicates.');
+                return [];
             }
-            else {
-                // Remove this predicate from the state.
-                for (var j in state.actions) {
-                    // Find matching action.
-                    if (StripsManager.isEqual(state.actions[j], actionOperation)) {
-                        // This is our target. Find the same item in our result list (since result may now have different indices than state.actions, if new actions were added via 'and').
-                        for (var k in result.actions) {
-                            if (StripsManager.isEqual(state.actions[j], result.actions[k])) {
-                                result.actions.splice(k, 1);
-                            }
-                        }
-                    }
+
+            state = StripsManager.indexState(domain, state);
+
+            var graph = new PlanningGraph(regression.actions, domain.store.atoms.length, state.facts);
+            var goals = goal.pos.map(function(id) { return id * 2; }).concat(goal.neg.map(function(id) { return id * 2 + 1; }));
+            var noGoodCount = -1;
+
+            while (true) {
+                var layer = graph.layerCount;
+                var isReached = goals.every(function(a) {
+                    return graph.literalLayer[a] != -1 && goals.every(function(b) { return a == b || !graph.isMutex(layer, a, b); });
+                });
+
+                if (StripsManager.verbose) {
+                    StripsManager.output('Layer: ' + layer + ', ' + graph.mutexes.length + ' mutexes' + (isReached ? ', searching for a plan.' : '.'));
                 }
-            }
-        }
 
-        return result;
-    },
+                if (isReached) {
+                    var plan = graph.extract(goals, layer);
 
-    getChildStates: function(domain, state) {
-        // Returns the list of child states for the current state, after applying all applicable actions.
-        var children = [];
+                    if (plan) {
+                        // Apply the actions of each layer in turn, to find the cost of the plan.
+                        var parallel = plan.map(function(nodes) { return nodes.filter(function(node) { return graph.nodes[node].action; }).map(function(node) { return graph.nodes[node].action; }); });
+                        var solution = StripsManager.regressionPlan(domain, state, goalState, [].concat.apply([], parallel), null);
 
-        var actions = StripsManager.applicableActions(domain, state);
-        for (var i in actions) {
-            var action = actions[i];
-            children.push({ state: StripsManager.applyAction(action, state), action: action });
-        }
+                        if (!solution) {
+                            StripsManager.output('ERROR: The plan found by GraphPlan does not reach the goal.');
+                            return [];
+                        }
 
-        return children;
-    },
+                        solution.layers = plan.length;
+                        solution.parallel = parallel.map(function(actions) { return actions.map(function(action) { return StripsManager.actionToString(action, domain); }); });
+
+                        return [ solution ];
+                    }
 
-    isGoal: function(state, goalState) {
-        // Returns true if the state contains the goal conditions.
-        var result = true;
+                    if (graph.isLeveled) {
+                        // Once the graph has leveled off, a plan is found in the next layer, unless no new no-goods were found in the layer where it leveled off.
+                        var count = Object.keys(graph.noGoods[graph.leveledLayer] || {}).length;
 
-        for (var i in goalState.actions) {
-            var goalAction = goalState.actions[i];
-            var operation = goalAction.operation || 'and';
+                        if (count == noGoodCount) {
+                            return [];
+                        }
 
-            if (operation == 'and') {
-                // Make sure this action exists in the state.
-                var isExists = false;
-                for (var j in state.actions) {
-                    if (StripsManager.isEqual(state.actions[j], goalAction)) {
-                        isExists = true;
-                        break;
+                        noGoodCount = count;
                     }
                 }
+                else if (graph.isLeveled) {
+                    // The goals will never be reached.
+                    return [];
+                }
 
-                // If we found a match, then this goal action exists. Move on to next tests.
-                if (!isExists) {
-                    result = false;
-                    break;
+                if (maxLayers && layer >= maxLayers) {
+                    return [];
                 }
+
+                graph.expand();
             }
-            else {
-                // Make sure this action does not exist in the state.
-                var isExists = false;
-                for (var j in state.actions) {
-                    if (StripsManager.isEqual(state.actions[j], goalAction)) {
-                        // This is our target, so it fails the goal test.
-                        isExists = true;
-                        break;
-                    }
-                }
+        },
 
-                if (isExists) {
-                    // Found a match for 'not', so goal fails.
-                    result = false;
-                    break;
-                }
+        isTemporal: function(domain) {
+            // Returns true if the domain contains any durative actions.
+            return domain.actions.some(function(action) { return action.durative; });
+        },
+
+        temporalChildren: function(domain, node) {
+            // Returns the child nodes of a temporal search node { state, time, running }. A child either starts an applicable action at the current time, or advances the time to the end of the next running action.
+            var children = [];
+            var running = node.running;
+
+            function isRunningSatisfied(state, running) {
+                // The over all conditions of the running actions must hold in each state while they run.
+                return running.every(function(item) { return StripsManager.isPreconditionSatisfied(state, item.action.overAll, domain); });
             }
-        }
 
-        return result;
-    },
+            var actions = StripsManager.applicableActions(domain, node.state);
+            for (var i in actions) {
+                var action = actions[i];
+                var name = StripsManager.actionToString(action, domain);
 
-    actionToString: function(action) {
-        var result = action.action;
+                // The same action may not be started again while it is running.
+                if (running.some(function(item) { return item.name == name; })) {
+                    continue;
+                }
 
-        for (var key in action.map) {
-            result += ' ' + action.map[key];
-        }
+                // Apply the at start effects.
+                var state = StripsManager.applyAction(action, node.state, domain);
+                if (!isRunningSatisfied(state, running) || (action.durative && !StripsManager.isPreconditionSatisfied(state, action.overAll, domain))) {
+                    continue;
+                }
 
-        return result;
-    },
+                var duration = action.durative ? StripsManager.evaluate(node.state, action.duration) : 0;
+                if (isNaN(duration) || duration < 0) {
+                    StripsManager.output('* ERROR: Invalid duration for action ' + name + '.');
+                    continue;
+                }
 
-    stateToString: function(state) {
-        var result = '';
-        var actionList = [];
+                var child = { state: state, time: node.time, running: running.slice(), event: { time: node.time, action: name, duration: duration } };
 
-        for (var i in state.actions) {
-            var action = state.actions[i];
+                if (action.durative) {
+                    // Keep the running actions ordered by the time that they end.
+                    child.running.push({ action: action, name: name, end: node.time + duration });
+                    child.running.sort(function(a, b) { return a.end - b.end; });
+                }
 
-            var actionString = '(' + action.action;
-            for (var j in action.parameters) {
-                actionString += ' ' + action.parameters[j];
+                children.push(child);
             }
-            actionString += ')';
 
-            // Keep a list of actions so we can sort them. This allows two states with different orderings of the same actions to result in the same string.
-            actionList.push(actionString);
-        }
+            if (running.length) {
+                // Advance to the end of the next running action. Its at end conditions must hold before the at end effects are applied.
+                var next = running[0];
+
+                if (StripsManager.isPreconditionSatisfied(node.state, next.action.endCondition, domain)) {
+                    var state = StripsManager.applyAction({ effect: next.action.endEffect }, node.state, domain);
+                    var rest = running.slice(1);
 
-        for (var i in actionList.sort()) {
-            if (i > 0) {
-                result += ' ';
+                    if (isRunningSatisfied(state, rest)) {
+                        children.push({ state: state, time: next.end, running: rest });
+                    }
+                }
             }
-            result += actionList[i];
-        }
 
-        return result;
-    },
+            return children;
+        },
 
-    solve: function(domain, problem, isDfs, maxSolutions, cost) {
-        // Find solution using A*, depth-first, or breadth-first search.
-        if (typeof(isDfs) == 'function' && !cost) {
-            // Allow passing cost as 3rd parameter.
-            cost = isDfs;
-        }
-        else if (isDfs == null) {
-            // If no other option specified, use depth-first-search by default.
-            isDfs = true;
-        }
-        
-        maxSolutions = maxSolutions || 1;
+        temporalStateToString: function(node) {
+            // Converts a temporal search node to a string, including the running actions and the time remaining for each.
+            return StripsManager.stateToString(node.state) + ' | ' + node.running.map(function(item) { return item.name + ' @' + (item.end - node.time); }).sort().join(', ');
+        },
 
-        if (cost && typeof(cost) != 'function') {
-            StripsManager.output('ERROR: parameter "cost" must be a function to serve as the A* algorithm heuristic. Method: solve(domain, problem, isDepthFirstSearch, cost, maxSolutions). Usage: solve(domain, problem), solve(domain, problem, false), solve(domain, problem, cost).');
-            return;
-        }
-        
-        if (StripsManager.verbose) {
-            StripsManager.output('Using ' + (cost ? 'A*' : (isDfs ? 'depth' : 'breadth') + '-first-search') + '.');
-            StripsManager.output('');
-        }
+        increasingFluents: function(domain, goalState) {
+            // Returns the names of the functions whose fluents are never worse for being higher, such as (minerals) when it is only compared with (>= (minerals) 100). A function qualifies if it only appears in conditions and goals as the greater side of a comparison, and never in the value of an effect, a duration, the metric, or an (= ...) comparison. Its value may be changed by increase, decrease or assign.
+            var candidates = {};
+            var excluded = {};
 
-        return cost ? StripsManager.solveAs(domain, problem.states[0], problem.states[1], cost) :
-                      (isDfs ? StripsManager.solveDfs(domain, problem.states[0], problem.states[1], maxSolutions) :
-                               StripsManager.solveBfs(domain, problem.states[0], problem.states[1], maxSolutions));
-    },
+            function exclude(expression) {
+                // Every function in the expression must keep its exact value.
+                if (expression && typeof(expression) == 'object') {
+                    if ([ '+', '-', '*', '/' ].indexOf(expression.action) != -1) {
+                        expression.parameters.forEach(exclude);
+                    }
+                    else {
+                        excluded[expression.action] = 1;
+                    }
+                }
+            }
 
-    solveDfs: function(domain, state, goalState, maxSolutions, visited, depth) {
-        // Find all solutions using depth-first-search.
-        var solutions = [];
+            function isFunction(expression) {
+                return expression && typeof(expression) == 'object' && [ '+', '-', '*', '/' ].indexOf(expression.action) == -1;
+            }
 
-        visited = visited ? JSON.parse(JSON.stringify(visited)) : {};
-        depth = depth || 0;
-        state = state.state ? state : { state: state }; // format state to mirror child, which includes parent and action in recursion.
+            function checkConditions(conditions, isNegated) {
+                for (var i in conditions) {
+                    var condition = conditions[i];
 
-        // If this is the initial state, add it to the visited list.
-        if (Object.keys(visited).length == 0) {
-            visited[StripsManager.stateToString(state.state)] = 1;
-        }
+                    if (condition.children) {
+                        condition.children.forEach(function(child, index) {
+                            // The condition of an (imply ...) holds when it is negated.
+                            checkConditions([ child ], isNegated != (condition.operation == 'not' || (condition.operation == 'imply' && !index)));
+                        });
+                    }
+                    else if (StripsManager.isComparison(condition)) {
+                        // The greater side of the comparison is the left side of > and >=, or the right side of < and <=, and the other side when it is negated.
+                        var greater = condition.action[0] == '>' ? 0 : (condition.action[0] == '<' ? 1 : -1);
 
-        // Check for goal.
-        if (StripsManager.isGoal(state.state, goalState)) {
-            // Compile solution path.
-            var path = [];
-            var steps = depth;
+                        if (greater != -1 && isNegated != (condition.operation == 'not')) {
+                            greater = 1 - greater;
+                        }
 
-            while (state != null && state.parent != null) {
-                // Since we move from goal backwards, add this step to the front of the array (rather than the end, otherwise it would be in reverse order).
-                path.unshift(StripsManager.actionToString(state.action));
-                state = state.parent;
+                        condition.parameters.forEach(function(parameter, index) {
+                            if (index == greater && isFunction(parameter)) {
+                                candidates[parameter.action] = 1;
+                            }
+                            else {
+                                exclude(parameter);
+                            }
+                        });
+                    }
+                }
             }
 
-            return [ { steps: steps, path: path } ];
-        }
-        else {
-            // Get child states by applying actions to current state.
-            var fringe = StripsManager.getChildStates(domain, state.state);
+            function checkEffects(effects) {
+                for (var i in effects) {
+                    var effect = effects[i];
 
-            if (StripsManager.verbose) {
-                StripsManager.output('Depth: ' + depth + ', ' + fringe.length + ' child states.');
-            }
-            
-            // Run against each new child state.
-            for (var i in fringe) {
-                var child = fringe[i];
-                child.parent = state;
-                var key = StripsManager.stateToString(child.state);
-
-                if (!visited[key]) {
-                    visited[key] = 1;
-                    var subSolutions = StripsManager.solveDfs(domain, child, goalState, maxSolutions, visited, depth + 1);
-                    if (subSolutions.length > 0) {
-                        // This branch has a solution(s).
-                        for (var j in subSolutions) {
-                            solutions.push(subSolutions[j]);
-
-                            if (solutions.length >= maxSolutions) {
-                                break;
-                            }
-                        }
+                    if (effect.operation == 'when') {
+                        checkConditions(effect.condition, false);
+                        checkEffects(effect.effect);
+                    }
+                    else if (effect.operation == 'forall') {
+                        checkEffects(effect.effect);
+                    }
+                    else if (StripsManager.isNumericEffect(effect)) {
+                        exclude(effect.value);
 
-                        if (solutions.length >= maxSolutions) {
-                            break;
+                        if (effect.operation == 'scale-up' || effect.operation == 'scale-down') {
+                            excluded[effect.action] = 1;
                         }
                     }
                 }
             }
-        }
 
-        return solutions;
-    },
+            domain.actions.forEach(function(action) {
+                checkConditions(action.precondition, false);
+                checkConditions(action.overAll, false);
+                checkConditions(action.endCondition, false);
+                checkEffects(action.effect);
+                checkEffects(action.endEffect);
+                exclude(action.duration);
+            });
 
-    solveBfs: function(domain, state, goalState, maxSolutions) {
-        // Find all solutions using breadth-first-search.
-        var fringe = [ { state: state, depth: 0 } ]; // Start with the initial state on the fringe.
-        var visited = {};
-        var depth = 0;
-        var solutions = [];
+            (domain.derived || []).forEach(function(axiom) { checkConditions([ axiom.condition ], false); });
+            checkConditions(goalState.actions, false);
 
-        while (fringe.length > 0) {
-            // Investigate the next state with the lowest depth.
-            var current = fringe[0];
+            if (domain.metric) {
+                exclude(domain.metric.expression);
+            }
 
-            // Remove this state from the fringe.
-            fringe.shift();
+            return Object.keys(candidates).filter(function(name) { return !excluded[name]; });
+        },
 
-            // Mark this state as visited.
-            visited[StripsManager.stateToString(current.state)] = 1;
+        solveTemporal: function(domain, state, goalState, cost, maxSolutions) {
+            // Find schedules for a domain with durative actions, where actions may run in parallel. Each node records the current time and the actions that are running. The search visits the node with the earliest possible end time (makespan) first, plus the heuristic cost(state, domain, goalState), if provided. Up to maxSolutions schedules are returned, each for a different goal node, in the order they are found.
+            // The fringe is a priority queue, as in solveAs(). A node is skipped if the same state, with the same running actions, was already found with the same or an earlier end time. It is also skipped if a node found at the same time, with the same literals and running actions, has fluents that are as good: equal, or higher for the fluents of increasingFluents(), such as a node that has gathered more minerals.
+            var order = 0;
+            var fringe = new BinaryHeap(function(a, b) { return (a.g + a.h) - (b.g + b.h) || a.order - b.order; });
+            var best = {}; // The earliest end time of each node, by temporalStateToString().
+            var groups = {}; // The nodes found at each time, with the same literals and running actions.
+            var increasing = StripsManager.increasingFluents(domain, goalState);
+            var solutions = [];
 
-            // Check for goal.
-            if (StripsManager.isGoal(current.state, goalState)) {
-                // Compile solution path.
-                var path = [];
-                var steps = current.depth;
+            maxSolutions = maxSolutions || 1;
 
-                while (current != null && current.parent != null) {
-                    // Since we move from goal backwards, add this step to the front of the array (rather than the end, otherwise it would be in reverse order).
-                    path.unshift(StripsManager.actionToString(current.action));
-                    current = current.parent;
-                }
+            function fluentValues(node) {
+                // Returns the values of the node's fluents, by name and parameters. The (total-cost) is not compared, as in stateToString().
+                var result = {};
 
-                solutions.push({ steps: steps, path: path });
+                for (var i in node.state.fluents) {
+                    var fluent = node.state.fluents[i];
 
-                if (solutions.length >= maxSolutions) {
-                    return solutions;
+                    if (fluent.action != 'total-cost' || fluent.parameters.length) {
+                        result[[ fluent.action ].concat(fluent.parameters).join(' ')] = { action: fluent.action, value: fluent.value };
+                    }
                 }
+
+                return result;
             }
-            else {
-                // Get child states by applying actions to current state.
-                var children = StripsManager.getChildStates(domain, current.state);
 
-                // Add the children to the fringe.
-                for (var i in children) {
-                    var child = children[i];
-                    child.parent = current;
-                    child.depth = current.depth + 1;
+            function isDominated(node, other) {
+                // Returns true if the other node is at least as good as the node.
+                var values = fluentValues(node);
+                var otherValues = fluentValues(other);
+
+                if (other.g > node.g || Object.keys(values).length != Object.keys(otherValues).length) {
+                    return false;
+                }
 
-                    if (!visited[StripsManager.stateToString(child.state)]) {
-                        fringe.push(child);
+                for (var key in values) {
+                    var value = values[key];
+                    var otherValue = otherValues[key];
+
+                    if (!otherValue || (increasing.indexOf(value.action) != -1 ? otherValue.value < value.value : otherValue.value != value.value)) {
+                        return false;
                     }
                 }
+
+                return true;
             }
 
-            if (StripsManager.verbose) {
-                StripsManager.output('Depth: ' + current.depth + ', ' + fringe.length + ' child states.');
+            function estimate(node) {
+                // Returns the heuristic cost of a node, from the state in which its running actions have ended, since their at end effects are already on their way.
+                var state = node.state;
+
+                for (var i in node.running) {
+                    state = StripsManager.applyAction({ effect: node.running[i].action.endEffect }, state, domain);
+                }
+
+                return cost ? cost(state, domain, goalState) : 0;
             }
-        }
 
-        return solutions;
-    },
-    
-    solveAs:function(domain, state, goalState, cost) {
-        // Find first solution using A* search, where cost is the heuristic function (h = cost(state)). Starting with the initial state, we find all children by applying applicable actions on the current state, calculate the child state costs, and select the next cheapest state to visit.
-        var depth = 0;
-        var fringe = [ { state: state, h: cost(state), g: depth } ]; // Start with the initial state on the fringe.
-        var visited = {};
-        var solutions = [];
-
-        while (fringe.length > 0) {
-            // Investigate the next state with the lowest cost.
-            var current = fringe[0];
-
-            // Remove this state from the fringe.
-            fringe.shift();
-
-            // Mark this state as visited.
-            visited[StripsManager.stateToString(current.state)] = 1;
-
-            // Check for goal.
-            if (StripsManager.isGoal(current.state, goalState)) {
-                // Compile solution path.
-                var path = [];
-                var steps = current.g;
+            function add(node) {
+                // Adds a node to the fringe, unless it is no better than a node that was already found.
+                var key = StripsManager.temporalStateToString(node);
+                var group = node.time + '|' + factHash(node.state.facts, []) + '|' + key.slice(key.indexOf(' | '));
 
-                while (current != null && current.parent != null) {
-                    // Since we move from goal backwards, add this step to the front of the array (rather than the end, otherwise it would be in reverse order).
-                    path.unshift(StripsManager.actionToString(current.action));
-                    current = current.parent;
+                if (best[key] != null && best[key] <= node.g) {
+                    return;
                 }
 
-                solutions.push({ steps: steps, path: path });
+                groups[group] = groups[group] || [];
+                if (groups[group].some(function(other) { return isDominated(node, other); })) {
+                    return;
+                }
 
-                return solutions;
+                best[key] = node.g;
+                node.order = order++;
+                groups[group].push(node);
+                fringe.push(node);
             }
-            else {
-                // Get child states by applying actions to current state.
-                var children = StripsManager.getChildStates(domain, current.state);
 
-                // Add the children to the fringe.
+            state = StripsManager.indexState(domain, state);
+            add({ state: state, time: 0, running: [], g: 0, h: estimate({ state: state, running: [] }) }); // Start with the initial state on the fringe.
+
+            while (fringe.size() > 0) {
+                // Investigate the next node with the earliest end time, and remove it from the fringe.
+                var current = fringe.pop();
+
+                if (best[StripsManager.temporalStateToString(current)] < current.g) {
+                    // The same node was found again with an earlier end time.
+                    continue;
+                }
+
+                // Check for goal, once all actions have ended.
+                if (!current.running.length && StripsManager.isGoal(current.state, goalState, domain)) {
+                    // Compile the schedule.
+                    var schedule = [];
+                    var makespan = current.time;
+                    var totalCost = domain.metric && domain.metric.expression.action != 'total-time' ? StripsManager.actionCost(state, current.state, domain.metric) : makespan;
+                    var node = current;
+
+                    while (node != null && node.parent != null) {
+                        if (node.event) {
+                            schedule.unshift(node.event);
+                        }
+
+                        node = node.parent;
+                    }
+
+                    solutions.push({ steps: schedule.length, cost: totalCost, makespan: makespan, path: schedule.map(function(event) { return event.action; }), schedule: schedule });
+
+                    if (solutions.length >= maxSolutions) {
+                        return solutions;
+                    }
+
+                    continue;
+                }
+
+                // Get child nodes by starting actions or advancing the time.
+                var children = StripsManager.temporalChildren(domain, current);
+
                 for (var i in children) {
                     var child = children[i];
                     child.parent = current;
-                    child.g = current.g + 1;
-                    child.h = cost(child.state);
-                    
-                    if (!visited[StripsManager.stateToString(child.state)]) {
-                        fringe.push(child);
-                    }
+                    child.g = child.running.length ? child.running[child.running.length - 1].end : child.time;
+                    child.h = estimate(child);
+
+                    add(child);
                 }
-                
-                fringe.sort(function(a, b) { return (a.h + a.g) - (b.h + b.g) });
-            }
 
-            if (StripsManager.verbose) {
-                StripsManager.output('Depth: ' + current.g + ', Current cost: ' + (current.h + current.g) + ', ' + fringe.length + ' child states.');
+                if (StripsManager.verbose) {
+                    StripsManager.output('Time: ' + current.time + ', ' + current.running.length + ' running actions, ' + fringe.size() + ' child states.');
+                }
             }
-        }
-
-        return solutions;
-    },
 
-    nextGraphLayer: function(domain, parentLayer, isSkipNegativeLiterals) {
-        // Builds the next planning graph layer, based upon the previous layer. In each action, 'precondition' represents parent literals. 'effect' represents child literals.
-        // Returns a 3-tier layer, consisting of P0 (literals), A0 (actions), P1 (literals). The format is: P0 = precondition, A0 = all actions not named 'noop', P1 = effect.
-        // If isSkipNegativeLiterals = true, negative literals (mutex) created from an action will be ignored.
-        var layer = [];
-        var literalHash = {};
-        var literalCount = 0;
-        var actionCount = 0;
-
-        // Pack all literals from actions in this layer into a single array.
-        var children = { effect: [] };
-        for (var i in parentLayer) {
-            for (var j in parentLayer[i].effect) {
-                var literal = parentLayer[i].effect[j];
-                literal.operation = literal.operation || 'and';
-
-                if (!isSkipNegativeLiterals || (isSkipNegativeLiterals && literal.operation != 'not')) {
-                    if (!literalHash[JSON.stringify(literal)]) {
-                        children.effect.push(literal);
-
-                        // P2 - Carry forward literals from parent, using noop actions.
-                        var noop = { action: 'noop' };
-                        noop.precondition = noop.precondition || [];
-                        noop.precondition.push(literal);
-                        noop.effect = noop.precondition;
-                        layer.push(noop);
-
-                        literalHash[JSON.stringify(literal)] = 1;
+            return solutions;
+        },
+
+        nextGraphLayer: function(domain, parentLayer, isSkipNegativeLiterals) {
+            // Builds the next planning graph layer, based upon the previous layer. In each action, 'precondition' represents parent literals. 'effect' represents child literals.
+            // Returns a 3-tier layer, consisting of P0 (literals), A0 (actions), P1 (literals). The format is: P0 = precondition, A0 = all actions not named 'noop', P1 = effect.
+            // If isSkipNegativeLiterals = true, negative literals (mutex) created from an action will be ignored.
+            var layer = [];
+            var literalHash = {};
+            var literalCount = 0;
+            var actionCount = 0;
+
+            // Pack all literals from actions in this layer into a single array.
+            var children = { effect: [] };
+            for (var i in parentLayer) {
+                var effects = StripsManager.effectLiterals(parentLayer[i].effect);
+                for (var j in effects) {
+                    var literal = effects[j];
+                    literal.operation = literal.operation || 'and';
+
+                    if (!isSkipNegativeLiterals || (isSkipNegativeLiterals && literal.operation != 'not')) {
+                        if (!literalHash[JSON.stringify(literal)]) {
+                            children.effect.push(literal);
+
+                            // P2 - Carry forward literals from parent, using noop actions.
+                            var noop = { action: 'noop' };
+                            noop.precondition = noop.precondition || [];
+                            noop.precondition.push(literal);
+                            noop.effect = noop.precondition;
+                            layer.push(noop);
+
+                            literalHash[JSON.stringify(literal)] = 1;
                 
-                        // Keep a count of all literals in this layer so we know if we found any new ones after graphing.
-                        literalCount++;
+                            // Keep a count of all literals in this layer so we know if we found any new ones after graphing.
+                            literalCount++;
+                        }
                     }
                 }
             }
-        }
 
-        // A1 - Get all applicable actions for the state.
-        var actions = StripsManager.applicableActionsPlus(domain, { actions: children.effect });
-        actionCount = actions.length;
-        for (var i in actions) {
-            // Add action to the layer, preconditions are the parents, effects are the children.
-            layer.push(actions[i]);
-        }
+            // A1 - Get all applicable actions for the state.
+            var actions = StripsManager.applicableActionsPlus(domain, { actions: children.effect });
+            actionCount = actions.length;
+            for (var i in actions) {
+                // Add action to the layer, preconditions are the parents, effects are the children.
+                layer.push(actions[i]);
+            }
 
-        if (StripsManager.verbose) {
-            StripsManager.output('P' + lastGraphIndex + ': ' + lastLiteralCount + ', A' + (lastGraphIndex+1) + ': ' + lastActionCount + ', P' + (lastGraphIndex+1) + ': ' + literalCount + ', A' + (lastGraphIndex+2) + ': ' + actionCount);
-        }
+            if (StripsManager.verbose) {
+                StripsManager.output('P' + lastGraphIndex + ': ' + lastLiteralCount + ', A' + (lastGraphIndex+1) + ': ' + lastActionCount + ', P' + (lastGraphIndex+1) + ': ' + literalCount + ', A' + (lastGraphIndex+2) + ': ' + actionCount);
+            }
 
-        lastGraphIndex++;
-        lastLiteralCount = literalCount;
+            // Compare with the counts of the previous layer before they are replaced.
+            var isChanged = literalCount > lastLiteralCount || actionCount != lastActionCount;
 
-        // If we discovered new literals or new actions, then return the layer and continue building the graph.
-        if (lastLiteralCount > literalCount || lastActionCount != actionCount) {
+            lastGraphIndex++;
+            lastLiteralCount = literalCount;
             lastActionCount = actionCount;
 
-            return layer;
-        }
-        else {
-            // No change, no new literals.
-            layer.done = true;
-            return layer;
-        }
-    },
+            // If we discovered new literals or new actions, then return the layer and continue building the graph.
+            if (isChanged) {
+                return layer;
+            }
+            else {
+                // No change, no new literals.
+                layer.done = true;
+                return layer;
+            }
+        },
+
+        graph: function(domain, problem, minLayers, maxLayers, isSkipNegativeLiterals) {
+            // Builds a planning graph for a domain and problem. In each action, 'precondition' represents parent literals. 'effect' represents child literals. Any action not named 'noop' represents an applicable action.
+            // Each layer consists of 3-tiers: P0 (literals), A0 (actions), P1 (literals). The format is: P0 = precondition, A0 = actions, P1 = effect.
+            // Loops, building new graph layers, until no new literals and no new actions are discovered.
+            // If isSkipNegativeLiterals = true, negative literals (mutex) created from an action will be ignored.
+            var result = [];
+            var layer = [];
+            var actionHash = {};
+
+            // P0 - initial literals.
+            for (var i in problem.states[0].actions) {
+                // P1 - B. Carry forward literals from parent.
+                var noop = { action: 'noop' };
+                noop.precondition = noop.precondition || [];
+                noop.precondition.push(problem.states[0].actions[i]);
+                noop.effect = noop.precondition;
+                layer.push(noop);    
+            }
 
-    graph: function(domain, problem, minLayers, maxLayers, isSkipNegativeLiterals) {
-        // Builds a planning graph for a domain and problem. In each action, 'precondition' represents parent literals. 'effect' represents child literals. Any action not named 'noop' represents an applicable action.
-        // Each layer consists of 3-tiers: P0 (literals), A0 (actions), P1 (literals). The format is: P0 = precondition, A0 = actions, P1 = effect.
-        // Loops, building new graph layers, until no new literals and no new actions are discovered.
-        // If isSkipNegativeLiterals = true, negative literals (mutex) created from an action will be ignored.
-        var result = [];
-        var layer = [];
-        var actionHash = {};
-
-        // P0 - initial literals.
-        for (var i in problem.states[0].actions) {
-            // P1 - B. Carry forward literals from parent.
-            var noop = { action: 'noop' };
-            noop.precondition = noop.precondition || [];
-            noop.precondition.push(problem.states[0].actions[i]);
-            noop.effect = noop.precondition;
-            layer.push(noop);    
-        }
-
-        // A0 - Get all applicable actions for the initial state.
-        var actions = StripsManager.applicableActionsPlus(domain, problem.states[0]);
+            // A0 - Get all applicable actions for the initial state.
+            var actions = StripsManager.applicableActionsPlus(domain, problem.states[0]);
         
-        // Initialize global graph helper counters.
-        lastLiteralCount = layer.length;
-        lastActionCount = actions.length;
-        lastGraphIndex = 0;
+            // Initialize global graph helper counters.
+            lastLiteralCount = layer.length;
+            lastActionCount = actions.length;
+            lastGraphIndex = 0;
 
-        layer = layer.concat(actions);
+            layer = layer.concat(actions);
 
-        // Add the literals, actions, next literals to the graph (P0, A0, P1).
-        result.push(layer);
+            // Add the literals, actions, next literals to the graph (P0, A0, P1).
+            result.push(layer);
 
-        // Next layer.
-        var index = 0;
-        var layer = StripsManager.nextGraphLayer(domain, result[index++], isSkipNegativeLiterals);
-        while ((!layer.done || (minLayers && index < minLayers)) && (!maxLayers || index < maxLayers)) {
-            if (StripsManager.verbose) {
-                StripsManager.output('Processing layer ' + index);
+            // Next layer.
+            var index = 0;
+            var layer = StripsManager.nextGraphLayer(domain, result[index++], isSkipNegativeLiterals);
+            while ((!layer.done || (minLayers && index < minLayers)) && (!maxLayers || index < maxLayers)) {
+                if (StripsManager.verbose) {
+                    StripsManager.output('Processing layer ' + index);
+                }
+
+                result.push(layer);
+
+                // Get next graph layer.
+                layer = StripsManager.nextGraphLayer(domain, result[index++], isSkipNegativeLiterals);
             }
 
-            result.push(layer);
+            return result;
+        }
+    };
+
+    // Planning graph counters, used by nextGraphLayer() to detect when no new literals or actions are discovered.
+    var lastGraphIndex = 0;
+    var lastLiteralCount = 0;
+    var lastActionCount = 0;
 
-            // Get next graph layer.
-            layer = StripsManager.nextGraphLayer(domain, result[index++], isSkipNegativeLiterals);
+    function callbackify(promise, callback, spread) {
+        // Invokes the optional callback once the promise settles and returns the promise.
+        // If errorFirst is set, the callback is error-first: callback(err, result...). Otherwise, it only receives the result on success and errors are written to output.
+        if (callback) {
+            var isErrorFirst = StripsManager.errorFirst;
+
+            promise.then(function(result) {
+                var args = spread ? spread(result) : [ result ];
+
+                // Call outside of the promise chain, so exceptions from the callback are not swallowed.
+                setTimeout(function() {
+                    callback.apply(null, isErrorFirst ? [ null ].concat(args) : args);
+                }, 0);
+            }, function(err) {
+                setTimeout(function() {
+                    if (isErrorFirst) {
+                        callback(err);
+                    }
+                    else {
+                        StripsManager.output('ERROR: ' + err.message);
+                    }
+                }, 0);
+            });
         }
 
-        return result;
+        return promise;
     }
-};
 
-module.exports = StripsManager;
\ No newline at end of file
+    for (var key in options) {
+        StripsManager[key] = options[key];
+    }
+
+    return StripsManager;
+}
+
+// The default planner, for use as strips.solve(), etc.
+module.exports = createPlanner();
\ No newline at end of file
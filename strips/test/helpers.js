@@ -0,0 +1,80 @@
+/*
+Helpers for the tests. Each test file creates its own planner, so settings and output do not leak between files.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var strips = require('../strips');
+
+var examplesPath = path.join(__dirname, '..', '..', 'examples');
+
+function createPlanner(options) {
+    // Returns a new planner, with its output collected in planner.lines rather than written to the console.
+    var lines = [];
+    var planner = strips.createPlanner(options);
+
+    planner.lines = lines;
+    planner.output = function(text) { lines.push(text); };
+
+    return planner;
+}
+
+function readExample(name, fileName) {
+    // Returns the PDDL code of an example file, such as readExample('blocksworld2', 'domain.txt').
+    return fs.readFileSync(examplesPath + '/' + name + '/' + fileName, 'utf8');
+}
+
+function parse(planner, domainCode, problemCode) {
+    // Parses a domain and problem from PDDL code, and prepares the domain for solving the problem, as load() does.
+    var domain = planner.parseDomain(domainCode);
+    var problem = planner.parseProblem(problemCode);
+
+    planner.initializeProblem(problem);
+    planner.initializeDomain(domain, problem);
+
+    return { domain: domain, problem: problem };
+}
+
+function example(planner, name, domainFile, problemFile) {
+    // Parses an example domain and problem, ready for solve().
+    return parse(planner, readExample(name, domainFile), readExample(name, problemFile));
+}
+
+// Example problems that every search algorithm solves in well under a second, as [ name, domain, problem ].
+var examples = [
+    [ 'blocksworld1', 'domain.txt', 'problem.txt' ],
+    [ 'blocksworld2', 'domain.txt', 'problem.txt' ],
+    [ 'blocksworld3', 'domain.txt', 'problem.txt' ],
+    [ 'blocksworld5', 'domain.txt', 'problem.txt' ],
+    [ 'aircargo', 'domain.txt', 'problem.txt' ],
+    [ 'cake', 'domain.pddl', 'problem.pddl' ],
+    [ 'dinner', 'domain.pddl', 'problem.pddl' ],
+    [ 'magicworld', 'domain.txt', 'problem.txt' ],
+    [ 'rubikscube', 'domain.txt', 'problem1.txt' ],
+    [ 'shakeysworld', 'domain.txt', 'problem1.txt' ]
+];
+
+function exampleFiles() {
+    // Returns every PDDL file of the examples, as [ { name, code } ].
+    var result = [];
+
+    fs.readdirSync(examplesPath).forEach(function(dir) {
+        fs.readdirSync(examplesPath + '/' + dir).forEach(function(fileName) {
+            if (/\.(txt|pddl)$/.test(fileName)) {
+                result.push({ name: dir + '/' + fileName, code: readExample(dir, fileName) });
+            }
+        });
+    });
+
+    return result;
+}
+
+module.exports = {
+    examplesPath: examplesPath,
+    examples: examples,
+    createPlanner: createPlanner,
+    readExample: readExample,
+    parse: parse,
+    example: example,
+    exampleFiles: exampleFiles
+};
@@ -0,0 +1,166 @@
+var test = require('node:test');
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var strips = helpers.createPlanner();
+
+function solve(domainCode, problemCode, options) {
+    // Parses and solves a problem, and returns its first solution, or null.
+    var result = helpers.parse(strips, domainCode, problemCode);
+    return strips.solve(result.domain, result.problem, options || { algorithm: 'bfs' })[0] || null;
+}
+
+test('typed objects bind to parameters of their ancestor types', function() {
+    var domain = '(define (domain transport) (:requirements :strips :typing) (:types truck airplane - vehicle vehicle place - object) ' +
+                 '(:predicates (at ?v - vehicle ?p - place) (moved ?v - vehicle)) ' +
+                 '(:action drive :parameters (?v - vehicle ?from - place ?to - place) :precondition (at ?v ?from) :effect (and (at ?v ?to) (not (at ?v ?from)) (moved ?v))))';
+    var problem = '(define (problem p) (:domain transport) (:objects t1 - truck p1 - airplane a b - place) (:init (at t1 a) (at p1 a)) (:goal (and (moved t1) (moved p1) (at t1 b))))';
+    var result = helpers.parse(strips, domain, problem);
+
+    assert.deepStrictEqual(result.domain.supertypes.truck, [ 'vehicle' ]);
+    assert.deepStrictEqual(result.domain.supertypes.vehicle, [ 'object' ]);
+    assert.deepStrictEqual(result.domain.values.vehicle.sort(), [ 'p1', 't1' ]);
+    assert.strictEqual(solve(domain, problem).steps, 2);
+});
+
+test('domain constants are grounded, and predicates with the wrong arity are reported', function() {
+    var domain = '(define (domain blocks) (:requirements :strips :typing) (:types block surface) (:constants table - surface) ' +
+                 '(:predicates (on ?b - block ?s - surface) (held ?b - block)) ' +
+                 '(:action put-down :parameters (?b - block) :precondition (held ?b) :effect (and (on ?b table) (not (held ?b)))))';
+    var problem = '(define (problem p) (:domain blocks) (:objects a - block) (:init (held a)) (:goal (on a table)))';
+    var result = helpers.parse(strips, domain, problem);
+
+    assert.deepStrictEqual(result.domain.constants, [ { parameters: [ 'table' ], type: 'surface' } ]);
+    assert.deepStrictEqual(solve(domain, problem).path, [ 'put-down a' ]);
+
+
+    var diagnostics = strips.validate(result.domain, strips.parseProblem('(define (problem p) (:domain blocks) (:objects a - block) (:init (held a)) (:goal (on a)))'));
+    assert.ok(diagnostics.some(function(diagnostic) { return diagnostic.code == 'arity'; }));
+});
+
+test('equality constraints select or exclude actions on the same object', function() {
+    var domain = '(define (domain swap) (:requirements :strips :equality) (:predicates (free ?x) (linked ?x ?y)) ' +
+                 '(:action link :parameters (?x ?y) :precondition (and (free ?x) (free ?y) (not (= ?x ?y))) :effect (linked ?x ?y)) ' +
+                 '(:action loop :parameters (?x ?y) :precondition (and (free ?x) (= ?x ?y)) :effect (linked ?x ?y)))';
+    var problem = '(define (problem p) (:domain swap) (:objects a b) (:init (free a) (free b)) (:goal (linked a b)))';
+    var result = helpers.parse(strips, domain, problem);
+    var actions = strips.applicableActions(result.domain, result.problem.states[0]).map(function(action) { return strips.actionToString(action); });
+
+    assert.deepStrictEqual(actions.sort(), [ 'link a b', 'link b a', 'loop a a', 'loop b b' ]);
+
+    // Without :equality, the actions that test (= ?x ?y) are grounded in the same way, with a warning.
+    result = helpers.parse(strips, domain.replace(' :equality', ''), problem);
+    actions = strips.applicableActions(result.domain, result.problem.states[0]).map(function(action) { return strips.actionToString(action); });
+
+    assert.deepStrictEqual(actions.sort(), [ 'link a b', 'link b a', 'loop a a', 'loop b b' ]);
+    assert.ok(strips.validate(result.domain, result.problem).some(function(diagnostic) { return diagnostic.code == 'missing-requirement'; }));
+});
+
+test('conditional and universally quantified effects', function() {
+    var domain = '(define (domain paint) (:requirements :strips :typing :conditional-effects) (:types block) (:predicates (painted ?b - block) (wet) (smudged ?b - block)) ' +
+                 '(:action paint-all :parameters (?x - block) :precondition (not (wet)) :effect (and (wet) (forall (?b - block) (painted ?b)))) ' +
+                 '(:action touch :parameters (?b - block) :precondition (painted ?b) :effect (when (wet) (smudged ?b))))';
+    var problem = '(define (problem p) (:domain paint) (:objects a b - block) (:init) (:goal (and (painted a) (painted b) (smudged b))))';
+    var solution = solve(domain, problem);
+
+    assert.deepStrictEqual(solution.path, [ 'paint-all a', 'touch b' ]);
+});
+
+test('disjunctive, implied and quantified preconditions and goals', function() {
+    var domain = '(define (domain doors) (:requirements :strips :typing :disjunctive-preconditions :quantified-preconditions) (:types door) ' +
+                 '(:predicates (has-key) (has-crowbar) (open ?d - door) (locked ?d - door) (alarm)) ' +
+                 '(:action force :parameters (?d - door) :precondition (and (or (has-key) (has-crowbar)) (imply (locked ?d) (has-crowbar))) :effect (open ?d)) ' +
+                 '(:action leave :parameters (?x - door) :precondition (forall (?d - door) (open ?d)) :effect (alarm)))';
+    var problem = '(define (problem p) (:domain doors) (:objects front back - door) (:init (has-crowbar) (locked back)) (:goal (and (alarm) (exists (?d - door) (open ?d)))))';
+
+    assert.strictEqual(solve(domain, problem).steps, 3);
+    assert.strictEqual(solve(domain, problem.replace('(has-crowbar)', '(has-key)')), null);
+});
+
+test('numeric fluents are changed by effects and tested by comparisons', function() {
+    var domain = '(define (domain fuel) (:requirements :strips :fluents) (:predicates (trips)) (:functions (fuel) (distance)) ' +
+                 '(:action drive :parameters () :precondition (>= (fuel) (distance)) :effect (and (trips) (decrease (fuel) (distance)))))';
+    var problem = '(define (problem p) (:domain fuel) (:init (= (fuel) 25) (= (distance) 10)) (:goal (and (trips) (< (fuel) 10))))';
+    var solution = solve(domain, problem);
+
+    assert.strictEqual(solution.steps, 2);
+    assert.strictEqual(solve(domain, problem.replace('(< (fuel) 10)', '(< (fuel) 0)')), null);
+});
+
+test('A* search minimizes the metric rather than the number of steps', function() {
+    var domain = '(define (domain roads) (:requirements :strips :typing :action-costs) (:types place) (:predicates (at ?p - place) (road ?a - place ?b - place)) ' +
+                 '(:functions (total-cost) - number (length ?a - place ?b - place) - number) ' +
+                 '(:action drive :parameters (?a - place ?b - place) :precondition (and (at ?a) (road ?a ?b)) :effect (and (at ?b) (not (at ?a)) (increase (total-cost) (length ?a ?b)))))';
+    var problem = '(define (problem p) (:domain roads) (:objects a b c d - place) ' +
+                  '(:init (at a) (road a d) (road a b) (road b c) (road c d) (= (length a d) 10) (= (length a b) 1) (= (length b c) 1) (= (length c d) 1) (= (total-cost) 0)) ' +
+                  '(:goal (at d)) (:metric minimize (total-cost)))';
+    var result = helpers.parse(strips, domain, problem);
+
+    assert.deepStrictEqual(result.problem.metric, { optimization: 'minimize', expression: { action: 'total-cost', parameters: [] } });
+    assert.deepStrictEqual(solve(domain, problem, { algorithm: 'astar' }), { steps: 3, cost: 3, path: [ 'drive a b', 'drive b c', 'drive c d' ] });
+    assert.deepStrictEqual(solve(domain, problem), { steps: 1, cost: 10, path: [ 'drive a d' ] });
+});
+
+test('derived predicates are recomputed on each state', function() {
+    var domain = '(define (domain tower) (:requirements :strips :derived-predicates) (:predicates (on ?x ?y) (clear ?x) (above ?x ?y)) ' +
+                 '(:derived (above ?x ?y) (or (on ?x ?y) (exists (?z) (and (on ?x ?z) (above ?z ?y))))) ' +
+                 '(:action stack :parameters (?x ?y) :precondition (and (clear ?x) (clear ?y)) :effect (and (on ?x ?y) (not (clear ?y)))))';
+    var problem = '(define (problem p) (:domain tower) (:objects a b c) (:init (clear a) (clear b) (clear c)) (:goal (above a c)))';
+    var result = helpers.parse(strips, domain, problem);
+
+    assert.deepStrictEqual(result.domain.derived.map(function(axiom) { return axiom.name; }), [ 'above' ]);
+    assert.strictEqual(solve(domain, problem).steps, 1);
+    assert.strictEqual(solve(domain, problem.replace('(above a c)', '(and (above a c) (not (on a c)))')).steps, 2);
+});
+
+test('actions that change a derived predicate are reported, and the domain is not solved', function() {
+    var domain = '(define (domain tower) (:requirements :strips :derived-predicates) (:predicates (on ?x ?y) (clear ?x) (above ?x ?y)) ' +
+                 '(:derived (above ?x ?y) (on ?x ?y)) ' +
+                 '(:action lift :parameters (?x ?y) :precondition (clear ?x) :effect (above ?x ?y)))';
+    var problem = '(define (problem p) (:domain tower) (:objects a b) (:init (clear a) (clear b)) (:goal (above a b)))';
+    var result = helpers.parse(strips, domain, problem);
+    var diagnostics = strips.validate(result.domain, result.problem);
+
+    assert.deepStrictEqual(diagnostics.map(function(diagnostic) { return [ diagnostic.severity, diagnostic.code, diagnostic.location.section, diagnostic.location.name ]; }), [ [ 'error', 'derived-effect', 'effect', 'lift' ] ]);
+    assert.ok(diagnostics[0].location.line);
+
+    strips.lines.length = 0;
+
+    assert.deepStrictEqual(strips.solve(result.domain, result.problem, { algorithm: 'bfs' }), []);
+    assert.ok(strips.lines.some(function(line) { return /^ERROR: /.test(line); }));
+});
+
+test('names are case-insensitive, and displayed as written for each kind of name', function() {
+    var domain = '(define (domain Moves) (:requirements :strips :typing) (:types Place) (:predicates (At ?p - Place) (Road ?From - Place ?To - Place)) ' +
+                 '(:action Go :parameters (?From - Place ?To - Place) :precondition (and (AT ?From) (road ?From ?To)) :effect (and (At ?To) (not (At ?From)))))';
+    var problem = '(define (PROBLEM p) (:domain moves) (:objects home to Far - place) (:init (at home) (road home to) (road to Far)) (:goal (at Far)))';
+    var result = helpers.parse(strips, domain, problem);
+
+    assert.deepStrictEqual(result.domain.actions[0].parameters, [ { parameter: 'from', type: 'place' }, { parameter: 'to', type: 'place' } ]);
+    assert.deepStrictEqual(strips.solve(result.domain, result.problem, { algorithm: 'bfs' })[0].path, [ 'Go home to', 'Go to Far' ]);
+    assert.ok(strips.toPDDL(result.domain).indexOf('(Road ?From - Place ?To - Place)') != -1);
+});
+
+test('names that are properties of Object.prototype are ordinary names', function() {
+    var domain = '(define (domain d) (:requirements :strips :fluents) (:constants constructor) (:predicates (done ?x)) (:functions (fuel ?x)) ' +
+                 '(:action go :parameters (?toString) :precondition (>= (fuel constructor) 1) :effect (and (done ?toString) (decrease (fuel constructor) 1))))';
+    var problem = '(define (problem p) (:domain d) (:objects hasOwnProperty) (:init (= (fuel constructor) 1)) (:goal (done hasOwnProperty)))';
+
+    assert.deepStrictEqual(solve(domain, problem).path, [ 'go hasOwnProperty' ]);
+});
+
+test('a metric to maximize is reported as its increase, and rejected by the searches that minimize', function() {
+    var domain = '(define (domain score) (:requirements :strips :fluents) (:predicates (done)) (:functions (score)) ' +
+                 '(:action play :parameters () :precondition (and) :effect (increase (score) 1)) ' +
+                 '(:action finish :parameters () :precondition (>= (score) 2) :effect (done)))';
+    var problem = '(define (problem p) (:domain score) (:init (= (score) 0)) (:goal (done)) (:metric maximize (score)))';
+
+    assert.deepStrictEqual(solve(domain, problem), { steps: 3, cost: 2, path: [ 'play', 'play', 'finish' ] });
+
+    [ 'astar', 'wastar', 'idastar' ].forEach(function(algorithm) {
+        strips.lines.length = 0;
+
+        assert.strictEqual(solve(domain, problem, { algorithm: algorithm }), null, algorithm);
+        assert.ok(/^ERROR: .*maximize/.test(strips.lines[0]), algorithm);
+    });
+});
@@ -0,0 +1,100 @@
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var helpers = require('./helpers');
+
+var strips = helpers.createPlanner();
+var domainPath = helpers.examplesPath + '/blocksworld2/domain.txt';
+var problemPath = helpers.examplesPath + '/blocksworld2/problem.txt';
+
+test('load() returns a Promise for the domain and problem, and calls the callback with them', function() {
+    return strips.load(domainPath, problemPath).then(function(result) {
+        assert.strictEqual(result.domain.domain, 'blocksworld');
+        assert.strictEqual(strips.solve(result.domain, result.problem, false)[0].steps, 3);
+
+        return new Promise(function(resolve) {
+            strips.load(domainPath, problemPath, function(domain, problem) {
+                assert.strictEqual(problem.domain, domain.domain);
+                resolve();
+            });
+        });
+    });
+});
+
+test('callbacks are only error-first when errorFirst is set', function() {
+    var planner = helpers.createPlanner({ errorFirst: true });
+
+    return new Promise(function(resolve) {
+        // A callback that names two arguments still receives the domain first, unless errorFirst is set.
+        strips.loadDomain(domainPath, function(domain, unused) {
+            assert.strictEqual(domain.domain, 'blocksworld');
+            resolve();
+        });
+    }).then(function() {
+        return new Promise(function(resolve) {
+            planner.load(domainPath, problemPath, function(err, domain, problem) {
+                assert.strictEqual(err, null);
+                assert.strictEqual(problem.domain, domain.domain);
+                resolve();
+            });
+        });
+    }).then(function() {
+        return new Promise(function(resolve) {
+            planner.load('(define (domain d', problemPath, function(err) {
+                assert.ok(err instanceof planner.ParseError);
+                resolve();
+            }, true);
+        });
+    });
+});
+
+test('load() rejects with a ParseError that locates the syntax error', function() {
+    var problemCode = helpers.readExample('blocksworld2', 'problem.txt');
+
+    return strips.load('(define (domain d)\n  (:action a :parameters (?x) :precondition (p ?x) :efect (q ?x)))', problemCode, null, true).then(function() {
+        assert.fail('The domain should not parse.');
+    }, function(err) {
+        assert.ok(err instanceof strips.ParseError);
+        assert.strictEqual(err.source, 'domain');
+        assert.strictEqual(err.line, 2);
+        assert.strictEqual(err.column, 52);
+        assert.strictEqual(err.snippet, '  (:action a :parameters (?x) :precondition (p ?x) :efect (q ?x)))');
+        assert.ok(err.expected.length > 0);
+    });
+});
+
+test('parseDomain() and parseProblem() parse synchronously, without reading the grammars', function() {
+    var readFile = fs.readFile;
+    var readFileSync = fs.readFileSync;
+    var domainCode = helpers.readExample('blocksworld2', 'domain.txt');
+    var problemCode = helpers.readExample('blocksworld2', 'problem.txt');
+
+    fs.readFile = fs.readFileSync = function() { throw new Error('The file system should not be used.'); };
+
+    try {
+        var domain = strips.parseDomain(domainCode);
+        var problem = strips.parseProblem(problemCode);
+    }
+    finally {
+        fs.readFile = readFile;
+        fs.readFileSync = readFileSync;
+    }
+
+    assert.deepStrictEqual(domain.actions.map(function(action) { return action.action; }), [ 'move', 'stack', 'unstack' ]);
+    assert.deepStrictEqual(problem.objects[0].parameters, [ 'a', 'b' ]);
+    assert.throws(function() { strips.parseProblem('(define (problem p) (:domain'); }, strips.ParseError);
+});
+
+test('createPlanner() returns planners with independent settings', function() {
+    var first = helpers.createPlanner({ verbose: true, tieBreaking: 'lifo' });
+    var second = helpers.createPlanner();
+    var result = helpers.example(first, 'blocksworld2', 'domain.txt', 'problem.txt');
+
+    assert.strictEqual(first.verbose, true);
+    assert.strictEqual(second.verbose, false);
+    assert.strictEqual(second.tieBreaking, 'fifo');
+
+    first.solve(result.domain, result.problem, false);
+    assert.ok(first.lines.length > 0);
+    assert.strictEqual(second.lines.length, 0);
+});
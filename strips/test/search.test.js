@@ -0,0 +1,162 @@
+var test = require('node:test');
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var strips = helpers.createPlanner();
+
+// Algorithms that find a plan with the fewest steps on the examples, which have no metric.
+var optimal = [ 'astar', 'idastar', 'bfs', 'iddfs', 'regression', 'bidirectional' ];
+
+var roadsDomain = '(define (domain roads) (:requirements :strips :typing :action-costs) (:types place) (:predicates (at ?p - place) (road ?a - place ?b - place)) ' +
+                  '(:functions (total-cost) - number (length ?a - place ?b - place) - number) ' +
+                  '(:action drive :parameters (?a - place ?b - place) :precondition (and (at ?a) (road ?a ?b)) :effect (and (at ?b) (not (at ?a)) (increase (total-cost) (length ?a ?b)))))';
+var roadsProblem = '(define (problem p) (:domain roads) (:objects a b c d - place) ' +
+                   '(:init (at a) (road a d) (road a b) (road b c) (road c d) (= (length a d) 1.2) (= (length a b) 0.1) (= (length b c) 0.1) (= (length c d) 0) (= (total-cost) 0)) ' +
+                   '(:goal (at d)) (:metric minimize (total-cost)))';
+
+test('every search algorithm solves every example with a valid plan', function() {
+    helpers.examples.forEach(function(entry) {
+        var result = helpers.example(strips, entry[0], entry[1], entry[2]);
+        var steps = strips.solve(result.domain, result.problem, { algorithm: 'bfs' })[0].steps;
+
+        Object.keys(strips.algorithms).forEach(function(algorithm) {
+            var name = entry[0] + ' ' + algorithm;
+            var solution = strips.solve(result.domain, result.problem, { algorithm: algorithm })[0];
+
+            assert.ok(solution, name);
+            assert.strictEqual(strips.validatePlan(result.domain, result.problem, solution.path).valid, true, name);
+
+            if (optimal.indexOf(algorithm) != -1) {
+                assert.strictEqual(solution.steps, steps, name);
+            }
+        });
+    });
+});
+
+test('every search algorithm returns an empty list for an unsolvable problem', function() {
+    [ 'problem1', 'problem2' ].forEach(function(name) {
+        var result = helpers.example(strips, name, 'domain.txt', 'problem.txt');
+
+        Object.keys(strips.algorithms).forEach(function(algorithm) {
+            assert.deepStrictEqual(strips.solve(result.domain, result.problem, { algorithm: algorithm }), [], name + ' ' + algorithm);
+        });
+    });
+});
+
+test('ground() prunes actions whose static preconditions never hold', function() {
+    var result = helpers.example(strips, 'aircargo', 'domain.txt', 'problem.txt');
+    var counts = strips.ground(result.domain, result.problem.states[0]);
+
+    assert.deepStrictEqual(counts, { kept: 20, pruned: 628 });
+    assert.deepStrictEqual(result.domain.grounding, counts);
+    assert.strictEqual(strips.solve(result.domain, result.problem, { algorithm: 'bfs' })[0].steps, 6);
+});
+
+test('indexed states hash the same for the same literals in any order', function() {
+    var result = helpers.example(strips, 'blocksworld2', 'domain.txt', 'problem.txt');
+    var state = result.problem.states[0];
+    var reversed = { actions: state.actions.slice().reverse() };
+    var indexed = strips.indexState(result.domain, state);
+
+    assert.ok(indexed instanceof strips.FactState);
+    assert.strictEqual(strips.indexState(result.domain, indexed), indexed);
+    assert.strictEqual(strips.stateHash(indexed), strips.stateHash(strips.indexState(result.domain, reversed)));
+    assert.strictEqual(strips.stateToString(indexed), strips.stateToString(state));
+});
+
+test('A* search returns several solutions in order of cost', function() {
+    var result = helpers.example(strips, 'aircargo', 'domain.txt', 'problem.txt');
+    var solutions = strips.solve(result.domain, result.problem, { algorithm: 'astar', maxSolutions: 3 });
+    var costs = solutions.map(function(solution) { return solution.cost; });
+
+    assert.strictEqual(solutions.length, 3);
+    assert.deepStrictEqual(costs, costs.slice().sort(function(a, b) { return a - b; }));
+    assert.strictEqual(costs[0], 6);
+});
+
+test('the heuristics estimate the cost to reach the goal', function() {
+    var result = helpers.example(strips, 'blocksworld2', 'domain.txt', 'problem.txt');
+    var state = result.problem.states[0];
+    var goal = result.problem.states[1];
+    var estimates = {};
+
+    Object.keys(strips.heuristics).forEach(function(name) {
+        estimates[name] = strips.heuristics[name](state, result.domain, goal);
+    });
+
+    assert.deepStrictEqual(estimates, { goalCount: 3, hAdd: 2, hMax: 1, hFF: 2 });
+    assert.strictEqual(strips.heuristics.hMax(goal, result.domain, goal), 0);
+});
+
+test('the cost searches and their heuristics use the metric cost of actions', function() {
+    var result = helpers.parse(strips, roadsDomain, roadsProblem);
+
+    [ 'astar', 'idastar' ].forEach(function(algorithm) {
+        assert.deepStrictEqual(strips.solve(result.domain, result.problem, { algorithm: algorithm })[0].path, [ 'drive a b', 'drive b c', 'drive c d' ], algorithm);
+    });
+
+    assert.strictEqual(strips.solve(result.domain, result.problem, { algorithm: 'wastar', heuristic: 'hMax' })[0].cost, 0.2);
+    assert.strictEqual(strips.heuristics.hMax(result.problem.states[0], result.domain, result.problem.states[1]), 0.2);
+});
+
+test('depth-first search stops at maxDepth, and iterative deepening finds the shortest plan', function() {
+    var result = helpers.example(strips, 'blocksworld2', 'domain.txt', 'problem.txt');
+
+    assert.deepStrictEqual(strips.solve(result.domain, result.problem, { algorithm: 'dfs', maxDepth: 2 }), []);
+    assert.strictEqual(strips.solve(result.domain, result.problem, { algorithm: 'dfs', maxDepth: 3 })[0].steps, 3);
+    assert.strictEqual(strips.solve(result.domain, result.problem, { algorithm: 'iddfs' })[0].steps, 3);
+});
+
+test('regression, bidirectional search and GraphPlan return an empty list for goals they do not support', function() {
+    var domain = helpers.readExample('blocksworld2', 'domain.txt');
+    var problem = '(define (problem p) (:domain blocksworld) (:objects a b - block x y - table) (:init (block a) (block b) (table x) (table y) (on a x) (on b x) (clear a) (clear b)) ' +
+                  '(:goal (or (on a b) (on b a))))';
+    var result = helpers.parse(strips, domain, problem);
+
+    [ 'regression', 'bidirectional', 'graphplan' ].forEach(function(algorithm) {
+        strips.lines.length = 0;
+
+        assert.deepStrictEqual(strips.solve(result.domain, result.problem, { algorithm: algorithm }), [], algorithm);
+        assert.ok(strips.lines.some(function(line) { return /^ERROR: /.test(line); }), algorithm);
+    });
+});
+
+test('GraphPlan returns the layers of actions that may run in parallel', function() {
+    var result = helpers.example(strips, 'blocksworld2', 'domain.txt', 'problem.txt');
+    var solution = strips.solve(result.domain, result.problem, { algorithm: 'graphplan' })[0];
+
+    assert.strictEqual(solution.layers, 2);
+    assert.deepStrictEqual(solution.parallel, [ [ 'move b x y', 'move a x y' ], [ 'stack a b y' ] ]);
+    assert.deepStrictEqual(solution.path, [ 'move b x y', 'move a x y', 'stack a b y' ]);
+});
+
+test('GraphPlan finds the shortest parallel plan for a larger problem', function() {
+    var result = helpers.example(strips, 'rubikscube', 'domain.txt', 'problem2.txt');
+    var solution = strips.solve(result.domain, result.problem, { algorithm: 'graphplan' })[0];
+
+    assert.strictEqual(solution.layers, 8);
+    assert.strictEqual(solution.steps, strips.solve(result.domain, result.problem, { algorithm: 'bfs' })[0].steps);
+    assert.strictEqual(strips.validatePlan(result.domain, result.problem, solution.path).valid, true);
+});
+
+test('the planning graph keeps adding layers while new literals appear, even if the actions do not change', function() {
+    var domain = '(define (domain lamps) (:requirements :strips) (:predicates (lamp ?x) (lit ?x)) (:action light :parameters (?x) :precondition (lamp ?x) :effect (lit ?x)))';
+    var problem = '(define (problem p) (:domain lamps) (:objects a) (:init (lamp a)) (:goal (lit a)))';
+    var result = helpers.parse(strips, domain, problem);
+    var layers = strips.graph(result.domain, result.problem);
+
+    // The first layer and the next apply the same action, but (lit a) is only carried forward by a noop in the next layer.
+    assert.deepStrictEqual(layers.map(function(layer) {
+        return layer.filter(function(action) { return action.action == 'noop'; }).map(function(noop) { return noop.precondition[0].action; });
+    }), [ [ 'lamp' ], [ 'lamp', 'lit' ] ]);
+});
+
+test('unknown algorithms and heuristics are reported', function() {
+    var result = helpers.example(strips, 'blocksworld2', 'domain.txt', 'problem.txt');
+
+    strips.lines.length = 0;
+
+    assert.strictEqual(strips.solve(result.domain, result.problem, { algorithm: 'dijkstra' }), undefined);
+    assert.strictEqual(strips.solve(result.domain, result.problem, { algorithm: 'astar', heuristic: 'hZero' }), undefined);
+    assert.strictEqual(strips.lines.length, 2);
+});
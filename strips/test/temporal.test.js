@@ -0,0 +1,53 @@
+var test = require('node:test');
+var assert = require('assert');
+var helpers = require('./helpers');
+
+var strips = helpers.createPlanner();
+
+var domain = '(define (domain build) (:requirements :strips :typing :durative-actions :fluents) (:types worker site) ' +
+             '(:predicates (idle ?w - worker) (built ?s - site) (free ?s - site)) (:functions (build-time ?s - site)) ' +
+             '(:durative-action build :parameters (?w - worker ?s - site) :duration (= ?duration (build-time ?s)) ' +
+             ':condition (and (at start (idle ?w)) (at start (free ?s)) (over all (not (built ?s)))) ' +
+             ':effect (and (at start (not (idle ?w))) (at start (not (free ?s))) (at end (idle ?w)) (at end (built ?s)))))';
+var problem = '(define (problem p) (:domain build) (:objects scv1 scv2 - worker depot barracks - site) ' +
+              '(:init (idle scv1) (idle scv2) (free depot) (free barracks) (= (build-time depot) 30) (= (build-time barracks) 50)) ' +
+              '(:goal (and (built depot) (built barracks))))';
+
+test('durative actions of different workers run in parallel', function() {
+    var result = helpers.parse(strips, domain, problem);
+    var solution = strips.solve(result.domain, result.problem)[0];
+
+    assert.strictEqual(strips.isTemporal(result.domain), true);
+    assert.strictEqual(solution.makespan, 50);
+    assert.deepStrictEqual(solution.schedule, [
+        { time: 0, action: 'build scv1 depot', duration: 30 },
+        { time: 0, action: 'build scv2 barracks', duration: 50 }
+    ]);
+});
+
+test('durative actions of one worker run in sequence', function() {
+    var result = helpers.parse(strips, domain, problem.replace('scv1 scv2', 'scv1').replace('(idle scv2) ', ''));
+    var solution = strips.solve(result.domain, result.problem)[0];
+
+    assert.strictEqual(solution.makespan, 80);
+    assert.deepStrictEqual(solution.schedule.map(function(step) { return step.time; }), [ 0, 30 ]);
+});
+
+test('temporal search returns up to maxSolutions schedules, in order of their end time', function() {
+    var result = helpers.parse(strips, domain, problem.replace('(and (built depot) (built barracks))', '(built depot)'));
+    var solutions = strips.solve(result.domain, result.problem, { maxSolutions: 2 });
+
+    assert.deepStrictEqual(solutions.map(function(solution) { return solution.makespan; }), [ 30, 50 ]);
+    assert.deepStrictEqual(solutions[0].path, [ 'build scv1 depot' ]);
+    assert.strictEqual(strips.solve(result.domain, result.problem).length, 1);
+});
+
+test('temporal domains may only be solved by A* search', function() {
+    var result = helpers.parse(strips, domain, problem);
+
+    strips.lines.length = 0;
+
+    assert.strictEqual(strips.solve(result.domain, result.problem, { algorithm: 'astar' })[0].makespan, 50);
+    assert.deepStrictEqual(strips.solve(result.domain, result.problem, { algorithm: 'bfs' }), []);
+    assert.ok(/^ERROR: /.test(strips.lines[0]));
+});
@@ -0,0 +1,100 @@
+var test = require('node:test');
+var assert = require('assert');
+var Ajv = require('ajv');
+var helpers = require('./helpers');
+
+var strips = helpers.createPlanner();
+
+test('toPDDL() writes every example so that it parses back to the same JSON', function() {
+    helpers.exampleFiles().forEach(function(file) {
+        var parse = /\(\s*define\s*\(\s*problem/i.test(file.code) ? strips.parseProblem : strips.parseDomain;
+        var json = parse(file.code);
+        var text = strips.toPDDL(json);
+
+        assert.deepStrictEqual(parse(text), json, file.name);
+        assert.strictEqual(strips.toPDDL(parse(text)), text, file.name);
+    });
+});
+
+test('the builders create the same domain and problem as parsing the PDDL', function() {
+    var domain = strips.domain('blocks')
+        .requirements('strips', 'typing')
+        .type('block')
+        .predicate('on', [ '?x - block', '?y - block' ])
+        .predicate('clear', [ '?x - block' ])
+        .action('stack', {
+            params: [ '?x - block', '?y - block' ],
+            pre: [ 'and', [ 'clear', '?x' ], [ 'clear', '?y' ], [ 'not', [ '=', '?x', '?y' ] ] ],
+            eff: [ 'and', [ 'on', '?x', '?y' ], [ 'not', [ 'clear', '?y' ] ] ]
+        });
+    var parsed = strips.parseDomain(strips.toPDDL(domain.build()));
+    var result = strips.problem(domain).objects([ 'a', 'b' ], 'block').init([ 'clear', 'a' ], [ 'clear', 'b' ]).goal([ 'on', 'a', 'b' ]).build();
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(parsed)), domain.build());
+    assert.deepStrictEqual(strips.solve(result.domain, result.problem, { algorithm: 'bfs' })[0].path, [ 'stack a b' ]);
+});
+
+test('the problem builder accepts objects of an either type', function() {
+    var domain = strips.domain('garage').requirements('strips', 'typing').type('vehicle').type('car', 'vehicle').type('truck', 'vehicle')
+        .predicate('parked', [ '?v - vehicle' ])
+        .action('park', { params: [ '?v - vehicle' ], eff: [ 'parked', '?v' ] });
+    var result = strips.problem(domain).objects([ 'a', 'b' ], '(either car truck)').goal([ 'and', [ 'parked', 'a' ], [ 'parked', 'b' ] ]).build();
+
+    assert.deepStrictEqual(result.problem.objects, [ { parameters: [ 'a', 'b' ], type: [ 'car', 'truck' ] } ]);
+    assert.strictEqual(strips.solve(result.domain, result.problem, { algorithm: 'bfs' })[0].steps, 2);
+    assert.deepStrictEqual(strips.parseProblem(strips.toPDDL(result.problem)).objects, result.problem.objects);
+});
+
+test('parsed and built models match the JSON Schema', function() {
+    var ajv = new Ajv({ allErrors: true });
+    var validateDomain = ajv.addSchema(strips.schema.domain).getSchema(strips.schema.domain.$id);
+    var validateProblem = ajv.compile(strips.schema.problem);
+    var models = [];
+
+    function check(validate, model, name) {
+        // Compares the model as JSON, as it would be saved to a file.
+        assert.ok(validate(JSON.parse(JSON.stringify(model))), name + ': ' + ajv.errorsText(validate.errors));
+    }
+
+    helpers.examples.forEach(function(entry) {
+        models.push([ entry[0], helpers.example(strips, entry[0], entry[1], entry[2]) ]);
+    });
+
+    var domain = strips.domain('Build').requirements('strips', 'typing', 'durative-actions').type('Site')
+        .predicate('built', [ '?s - Site' ])
+        .action('build', { params: [ '?s - Site' ], duration: 30, pre: [ 'not', [ 'built', '?s' ] ], overAll: [ 'and' ], endEff: [ 'built', '?s' ] });
+    models.push([ 'builder', strips.problem(domain).objects([ 'Depot' ], 'Site').goal([ 'built', 'Depot' ]).build() ]);
+
+    models.forEach(function(model) {
+        check(validateDomain, model[1].domain, model[0]);
+        check(validateProblem, model[1].problem, model[0]);
+    });
+
+    helpers.exampleFiles().forEach(function(file) {
+        var isProblem = /\(\s*define\s*\(\s*problem/i.test(file.code);
+        check(isProblem ? validateProblem : validateDomain, isProblem ? strips.parseProblem(file.code) : strips.parseDomain(file.code), file.name);
+    });
+});
+
+test('validate() reports mistakes with their location', function() {
+    var domain = strips.parseDomain('(define (domain d) (:requirements :strips) (:predicates (p ?x))\n  (:action a :parameters (?x) :precondition (and (p ?x) (q ?x)) :effect (p ?y)))');
+    var problem = strips.parseProblem('(define (problem p) (:domain d) (:objects o) (:init (p o)) (:goal (p o)))');
+    var diagnostics = strips.validate(domain, problem);
+    var codes = diagnostics.map(function(diagnostic) { return diagnostic.code; });
+
+    assert.deepStrictEqual(codes.sort(), [ 'unbound-variable', 'undeclared-predicate' ]);
+    assert.deepStrictEqual(diagnostics[0].location.line, 2);
+    assert.ok(/^ERROR: /.test(strips.diagnosticToString(diagnostics[0])));
+});
+
+test('validatePlan() checks each step of a plan and the goal', function() {
+    var result = helpers.example(strips, 'blocksworld2', 'domain.txt', 'problem.txt');
+    var valid = strips.validatePlan(result.domain, result.problem, '; plan\n0.000: (move a x y) [1.000]\n(move b x y)\nstack a b y\n');
+    var invalid = strips.validatePlan(result.domain, result.problem, [ 'stack a b y', 'move a x y' ]);
+
+    assert.strictEqual(valid.valid, true);
+    assert.strictEqual(valid.steps, 3);
+    assert.strictEqual(invalid.valid, false);
+    assert.deepStrictEqual(invalid.failure.unsatisfied, [ '(on a y)', '(on b y)' ]);
+    assert.deepStrictEqual(invalid.goal.missing, [ '(on a b)', '(on b y)', '(not (clear b))' ]);
+});